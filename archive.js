@@ -0,0 +1,132 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { writeJsonAtomic } from './ledger.js';
+import { htmlToText } from './mime.js';
+import { summarizeQuality } from './qualityCheck.js';
+import { escapeHtml } from './textUtils.js';
+import { letterEntries } from './vocabBank.js';
+
+// 처리한 편지를 보관하는 폴더. 편지마다 <id>/ 아래 원문·번역 HTML 과 letter.json, 목록은 index.json
+const ARCHIVE_DIR = path.join(process.cwd(), 'data', 'archive');
+
+// 폴더 이름이 되므로 Gmail 메시지 ID 모양만 받는다 (../ 같은 경로 방지)
+const SAFE_ID = /^[\w-]+$/;
+
+export const ARCHIVE_FILES = { original: 'original.html', translated: 'translated.html' };
+
+export class ArchiveError extends Error {}
+
+// 검색용: 유니코드 정규화(NFC) 후 소문자. 한글 자모가 분리된 입력도 같은 글자로 맞춘다
+function normalize(str) {
+    return String(str || '').normalize('NFC').toLowerCase();
+}
+
+// 공백으로 나눈 검색어가 모두 제목·원문·번역문 어딘가에 있으면 일치
+export function matchesQuery(summary, query) {
+    const words = normalize(query).split(/\s+/).filter(Boolean);
+    if (!words.length) return true;
+    const haystack = normalize([summary.subject, summary.sentSubject, summary.text?.original, summary.text?.translated].join('\n'));
+    return words.every(word => haystack.includes(word));
+}
+
+function originalHtml(letter) {
+    if (letter.textHtml) return letter.textHtml;
+    return `<html><head></head><body><pre style="white-space: pre-wrap">${escapeHtml(letter.textPlain || '')}</pre></body></html>`;
+}
+
+/**
+ * Opens the local letter archive. Each saved letter keeps its original and
+ * translated HTML, metadata, quality report and vocabulary under
+ * `<dir>/<id>/`; `index.json` lists them with their plain text for search,
+ * so the archive can be browsed offline (archiveServer.js).
+ *
+ * @param {string} [dir]
+ */
+export default async function openArchive(dir = ARCHIVE_DIR) {
+    const indexPath = path.join(dir, 'index.json');
+    let letters = {};
+    try {
+        letters = JSON.parse(await fs.readFile(indexPath, 'utf-8')).letters || {};
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw new ArchiveError(`Cannot read archive index ${indexPath}: ${e.message}`);
+    }
+    const letterDir = id => {
+        if (!SAFE_ID.test(id)) throw new ArchiveError(`invalid letter id "${id}"`);
+        return path.join(dir, id);
+    };
+
+    return {
+        dir,
+        // translateMessage 결과와 이번 실행의 판단(상태, 모드, 수준, 변형별 결과)을 저장. 같은 편지는 덮어쓴다
+        async save(letter, { status, reason = '', mode, level, receivedAt, variants = [] }) {
+            const folder = letterDir(letter.id);
+            const original = originalHtml(letter);
+            const vocabulary = letterEntries(letter).map(({ kind, term, ipa, definition, example }) => ({ kind, term, ipa, definition, example }));
+            const summary = {
+                id: letter.id,
+                source: letter.source,
+                subject: letter.subject,
+                sentSubject: letter.subjectToSend,
+                from: letter.from,
+                receivedAt,
+                archivedAt: new Date().toISOString(),
+                status,
+                mode,
+                level,
+                quality: letter.quality ? summarizeQuality(letter.quality) : '',
+                vocabulary: vocabulary.length,
+                text: { original: letter.textPlain || htmlToText(original), translated: htmlToText(letter.bodyHtml) },
+            };
+            const { text, ...meta } = summary;
+            await fs.mkdir(folder, { recursive: true });
+            await fs.writeFile(path.join(folder, ARCHIVE_FILES.original), original);
+            await fs.writeFile(path.join(folder, ARCHIVE_FILES.translated), letter.bodyHtml || '');
+            await writeJsonAtomic(path.join(folder, 'letter.json'), {
+                ...meta,
+                threadId: letter.threadId,
+                date: letter.date,
+                reason,
+                qualityReport: letter.quality,
+                glossaryViolations: letter.glossaryViolations || [],
+                sanitizeIssues: letter.sanitizeIssues || [],
+                variants,
+                vocabulary,
+            });
+            // 목록은 편지 파일을 다 쓴 뒤에 갱신한다 (중간에 죽으면 목록에 없는 폴더만 남음)
+            letters[letter.id] = summary;
+            await writeJsonAtomic(indexPath, { version: 1, letters });
+            return summary;
+        },
+        // 최근 받은 순. query 는 영어·한국어 모두 (matchesQuery)
+        list({ query, source } = {}) {
+            return Object.values(letters)
+                .filter(l => !source || l.source === source)
+                .filter(l => matchesQuery(l, query))
+                .sort((a, b) => (b.receivedAt || '').localeCompare(a.receivedAt || ''));
+        },
+        sources() {
+            return [...new Set(Object.values(letters).map(l => l.source))].sort();
+        },
+        // letter.json 내용. 없으면 null
+        async get(id) {
+            if (!SAFE_ID.test(id) || !letters[id]) return null;
+            try {
+                return JSON.parse(await fs.readFile(path.join(letterDir(id), 'letter.json'), 'utf-8'));
+            } catch (e) {
+                if (e.code === 'ENOENT') return null;
+                throw new ArchiveError(`Cannot read archived letter ${id}: ${e.message}`);
+            }
+        },
+        // 원문(original) 또는 번역(translated) HTML. 없으면 null
+        async file(id, name) {
+            if (!SAFE_ID.test(id) || !letters[id] || !ARCHIVE_FILES[name]) return null;
+            try {
+                return await fs.readFile(path.join(letterDir(id), ARCHIVE_FILES[name]), 'utf-8');
+            } catch (e) {
+                if (e.code === 'ENOENT') return null;
+                throw e;
+            }
+        },
+    };
+}
@@ -0,0 +1,165 @@
+import http from 'node:http';
+import openArchive from './archive.js';
+import { escapeHtml } from './textUtils.js';
+import openVocabBank from './vocabBank.js';
+
+// 보관된 편지 HTML 은 스크립트와 외부 리소스 없이 보여준다 (오프라인, 추적 이미지 차단)
+const LETTER_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; font-src data:";
+const PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; frame-src 'self'; form-action 'self'";
+
+const PAGE_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 1400px; padding: 1rem 2rem; color: #222; }
+a { color: #0b57d0; }
+form { margin: 1rem 0; }
+input[type=search] { width: 24rem; padding: 0.3rem; }
+table { border-collapse: collapse; }
+td, th { border-bottom: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+.muted { color: #777; }
+.side-by-side { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+.side-by-side iframe { width: 100%; height: 80vh; border: 1px solid #ccc; }
+.fail { color: #b3261e; } .warn { color: #a15c00; } .pass { color: #146c2e; }
+`;
+
+function page(title, body) {
+    return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${PAGE_STYLE}</style></head>`
+        + `<body><p><a href="/">Letters</a> · <a href="/vocab">Vocabulary</a></p>\n${body}</body></html>`;
+}
+
+const letterLink = id => `/letters/${encodeURIComponent(id)}`;
+const vocabLink = term => `/vocab?q=${encodeURIComponent(term)}`;
+
+export function renderLetterList(letters, { query = '', source = '', sources = [] } = {}) {
+    const options = ['', ...sources].map(s => `<option value="${escapeHtml(s)}"${s === source ? ' selected' : ''}>${escapeHtml(s || 'all sources')}</option>`);
+    const rows = letters.map(l => `<tr><td>${escapeHtml((l.receivedAt || '').slice(0, 10))}</td><td>${escapeHtml(l.source)}</td>`
+        + `<td><a href="${letterLink(l.id)}">${escapeHtml(l.sentSubject || l.subject)}</a><br><span class="muted">${escapeHtml(l.subject)}</span></td>`
+        + `<td>${escapeHtml(l.status)}</td><td>${escapeHtml(l.quality)}</td><td>${l.vocabulary}</td></tr>`);
+    return page('Letters', [
+        '<h1>Archived letters</h1>',
+        `<form method="get" action="/"><input type="search" name="q" value="${escapeHtml(query)}" placeholder="Search English or Korean">`
+            + ` <select name="source">${options.join('')}</select> <button>Search</button></form>`,
+        `<p class="muted">${letters.length} letter(s)</p>`,
+        rows.length
+            ? `<table><tr><th>Received</th><th>Source</th><th>Subject</th><th>Status</th><th>Quality</th><th>Words</th></tr>\n${rows.join('\n')}</table>`
+            : '<p>No letters found.</p>',
+    ].join('\n'));
+}
+
+export function renderLetterPage(letter) {
+    const meta = [
+        ['Source', letter.source],
+        ['From', letter.from],
+        ['Received', letter.receivedAt],
+        ['Status', `${letter.status}${letter.reason ? ` (${letter.reason})` : ''}`],
+        ['Mode', `${letter.mode}, ${letter.level}`],
+        ['Archived', letter.archivedAt],
+    ].map(([k, v]) => `<tr><th>${k}</th><td>${escapeHtml(v || '')}</td></tr>`);
+    const checks = (letter.qualityReport?.checks || [])
+        .map(c => `<tr><td>${escapeHtml(c.name)}</td><td class="${escapeHtml(c.status)}">${escapeHtml(c.status)}</td><td>${escapeHtml(c.detail)}</td></tr>`);
+    const violations = letter.glossaryViolations
+        .map(v => `<li>${escapeHtml(v.where)}: "${escapeHtml(v.term)}" ${escapeHtml(v.kind)}${v.fixed ? ' (fixed)' : ''}</li>`);
+    const vocabulary = letter.vocabulary
+        .map(v => `<tr><td><a href="${vocabLink(v.term)}">${escapeHtml(v.term)}</a></td><td>${escapeHtml(v.kind)}</td><td>${escapeHtml(v.ipa)}</td><td>${escapeHtml(v.definition)}</td><td>${escapeHtml(v.example)}</td></tr>`);
+    const variants = (letter.variants || [])
+        .map(v => `<li>${escapeHtml(v.key)}: ${escapeHtml(v.status)}, ${v.recipients} recipient(s)${v.reason ? ` (${escapeHtml(v.reason)})` : ''}</li>`);
+
+    return page(letter.sentSubject || letter.subject, [
+        `<h1>${escapeHtml(letter.sentSubject || letter.subject)}</h1>`,
+        `<p class="muted">${escapeHtml(letter.subject)}</p>`,
+        `<table>${meta.join('')}</table>`,
+        '<div class="side-by-side">',
+        `<div><h2>Original</h2><iframe sandbox src="${letterLink(letter.id)}/original" title="Original"></iframe></div>`,
+        `<div><h2>Translation</h2><iframe sandbox src="${letterLink(letter.id)}/translated" title="Translation"></iframe></div>`,
+        '</div>',
+        `<h2>Quality: <span class="${escapeHtml(letter.qualityReport?.status || '')}">${escapeHtml(letter.qualityReport?.status || 'not checked')}</span></h2>`,
+        checks.length ? `<table><tr><th>Check</th><th>Status</th><th>Detail</th></tr>${checks.join('')}</table>` : '',
+        violations.length ? `<h2>Glossary violations</h2><ul>${violations.join('')}</ul>` : '',
+        variants.length ? `<h2>Variants</h2><ul>${variants.join('')}</ul>` : '',
+        `<h2>Vocabulary (${vocabulary.length})</h2>`,
+        vocabulary.length
+            ? `<table><tr><th>Term</th><th>Kind</th><th>IPA</th><th>Definition</th><th>Example</th></tr>${vocabulary.join('')}</table>`
+            : '<p>No vocabulary for this letter.</p>',
+    ].filter(Boolean).join('\n'));
+}
+
+// 단어장 검색. 각 항목에서 그 단어가 나온 보관 편지로 링크
+export function renderVocabPage(entries, { query = '', archived = new Set() } = {}) {
+    const rows = entries.map(e => {
+        const letters = [...new Map(e.occurrences.map(o => [o.letterId, o])).values()]
+            .map(o => (archived.has(o.letterId)
+                ? `<a href="${letterLink(o.letterId)}">${escapeHtml(o.date)} ${escapeHtml(o.title || o.letterId)}</a>`
+                : `<span class="muted">${escapeHtml(o.date)} ${escapeHtml(o.title || o.letterId)}</span>`));
+        return `<tr><td>${escapeHtml(e.term)}</td><td>${escapeHtml(e.kind)}</td><td>${e.count}</td><td>${escapeHtml(e.definition)}</td><td>${letters.join('<br>')}</td></tr>`;
+    });
+    return page('Vocabulary', [
+        '<h1>Vocabulary</h1>',
+        `<form method="get" action="/vocab"><input type="search" name="q" value="${escapeHtml(query)}" placeholder="Word or definition"> <button>Search</button></form>`,
+        `<p class="muted">${entries.length} entries</p>`,
+        rows.length
+            ? `<table><tr><th>Term</th><th>Kind</th><th>Seen</th><th>Definition</th><th>Letters</th></tr>\n${rows.join('\n')}</table>`
+            : '<p>No entries found.</p>',
+    ].join('\n'));
+}
+
+function send(res, status, html, csp = PAGE_CSP) {
+    res.writeHead(status, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Security-Policy': csp,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'no-store',
+    });
+    res.end(html);
+}
+
+// 요청마다 보관함과 단어장을 다시 읽어 실행 중인 데몬이 새로 보관한 편지도 바로 보인다
+async function handle(req, res, { archiveDir, vocabPath }) {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') return send(res, 405, page('Not allowed', '<p>Only GET is supported.</p>'));
+    const archive = await openArchive(archiveDir);
+
+    if (url.pathname === '/') {
+        const query = url.searchParams.get('q') || '';
+        const source = url.searchParams.get('source') || '';
+        return send(res, 200, renderLetterList(archive.list({ query, source }), { query, source, sources: archive.sources() }));
+    }
+    if (url.pathname === '/vocab') {
+        const query = url.searchParams.get('q') || '';
+        const bank = await openVocabBank(vocabPath);
+        const archived = new Set(archive.list().map(l => l.id));
+        return send(res, 200, renderVocabPage(bank.entries({ query }), { query, archived }));
+    }
+    const match = url.pathname.match(/^\/letters\/([^/]+)(?:\/(original|translated))?$/);
+    if (match) {
+        const id = decodeURIComponent(match[1]);
+        if (match[2]) {
+            const html = await archive.file(id, match[2]);
+            if (html !== null) return send(res, 200, html, LETTER_CSP);
+        } else {
+            const letter = await archive.get(id);
+            if (letter) return send(res, 200, renderLetterPage(letter));
+        }
+    }
+    return send(res, 404, page('Not found', '<p>Not found.</p>'));
+}
+
+/**
+ * Serves the letter archive over HTTP: a searchable list, each letter's
+ * original and translation side by side with its quality report and
+ * vocabulary, and the vocabulary bank linking back to the letters. Reads
+ * only local files, so it works offline. Listens on 127.0.0.1 by default.
+ *
+ * @param {{ archiveDir?: string, vocabPath?: string, port?: number, host?: string }} [options]
+ * @return {Promise<http.Server>}
+ */
+export default function startArchiveServer({ archiveDir, vocabPath, port = 8080, host = '127.0.0.1' } = {}) {
+    const server = http.createServer((req, res) => {
+        handle(req, res, { archiveDir, vocabPath }).catch(e => {
+            console.error('[translator] Archive viewer error:', req.url, e?.message || e);
+            if (!res.headersSent) send(res, 500, page('Error', `<p>${escapeHtml(String(e?.message || e))}</p>`));
+            else res.end();
+        });
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
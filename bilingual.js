@@ -0,0 +1,110 @@
+import { escapeHtml } from './textUtils.js';
+
+// table: 원문/번역 2단 표, interleaved: 원문 문단 아래에 번역 문단
+export const BILINGUAL_LAYOUTS = ['table', 'interleaved'];
+
+// 메일 클라이언트가 <style> 을 버리는 경우가 많아 인라인 스타일로 넣는다
+const STYLE = {
+    table: 'border-collapse:collapse;width:100%;',
+    source: 'color:#555555;font-size:14px;line-height:1.6;',
+    target: 'color:#111111;font-size:15px;line-height:1.6;',
+    cell: 'vertical-align:top;padding:8px;border-bottom:1px solid #eeeeee;',
+    mark: 'background:#fff3b0;',
+};
+
+const HANGUL = /[\uAC00-\uD7A3]/;
+
+/**
+ * Splits a plain-text letter into articles for bilingual output. Paragraphs
+ * are separated by blank lines (or lines, if there are none); a short single
+ * line without closing punctuation is taken as an article title.
+ *
+ * @param {string} text
+ * @return {Array<{ title: string, paragraphs: string[] }>}
+ */
+export function textArticles(text) {
+    let blocks = text.split(/\n\s*\n/).map(b => b.trim()).filter(Boolean);
+    if (blocks.length <= 1) blocks = text.split('\n').map(l => l.trim()).filter(Boolean);
+    const articles = [];
+    for (const block of blocks.filter(b => HANGUL.test(b))) {
+        const isTitle = !block.includes('\n') && block.length <= 60 && !/[.!?。…"'”’)]$/.test(block);
+        const current = articles.at(-1);
+        if (isTitle && !(current?.title && current.paragraphs.length === 0)) {
+            articles.push({ title: block, paragraphs: [] });
+        } else if (current) {
+            current.paragraphs.push(block.replace(/\s*\n\s*/g, ' '));
+        } else {
+            articles.push({ title: '', paragraphs: [block.replace(/\s*\n\s*/g, ' ')] });
+        }
+    }
+    return articles;
+}
+
+// 번역문 안의 어휘 단어를 <mark> 로 감싼다. 뜻은 title 로 (마우스를 올리면 보임)
+function highlightTerms(text, vocabulary) {
+    const terms = vocabulary.filter(v => v.word?.trim()).sort((a, b) => b.word.length - a.word.length);
+    if (!terms.length) return escapeHtml(text);
+    const pattern = new RegExp(`\\b(${terms.map(v => v.word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'gi');
+    const byWord = new Map(terms.map(v => [v.word.trim().toLowerCase(), v]));
+    let out = '';
+    let last = 0;
+    for (const m of text.matchAll(pattern)) {
+        const v = byWord.get(m[0].toLowerCase());
+        out += escapeHtml(text.slice(last, m.index));
+        out += `<mark class="bi-term" style="${STYLE.mark}" title="${escapeHtml(v?.definition || '')}">${escapeHtml(m[0])}</mark>`;
+        last = m.index + m[0].length;
+    }
+    return out + escapeHtml(text.slice(last));
+}
+
+function renderPairs(article, layout) {
+    const target = p => highlightTerms(p.target, article.vocabulary);
+    if (layout === 'interleaved') {
+        return article.paragraphs.map(p => [
+            `<p class="bi-source" style="${STYLE.source}">${escapeHtml(p.source)}</p>`,
+            `<p class="bi-target" style="${STYLE.target}">${target(p)}</p>`,
+        ].join('\n')).join('\n');
+    }
+    const rows = article.paragraphs.map(p => [
+        '<tr>',
+        `<td class="bi-source" width="50%" style="${STYLE.cell}${STYLE.source}">${escapeHtml(p.source)}</td>`,
+        `<td class="bi-target" width="50%" style="${STYLE.cell}${STYLE.target}">${target(p)}</td>`,
+        '</tr>',
+    ].join(''));
+    return `<table role="presentation" class="bi-table" width="100%" cellpadding="0" cellspacing="0" border="0" style="${STYLE.table}">${rows.join('\n')}</table>`;
+}
+
+/**
+ * Renders paired paragraphs (from `translateBilingual`) as the mail body:
+ * a contents list linking to per-article anchors, then each article with
+ * its source and translated paragraphs side by side (`table`) or one after
+ * the other (`interleaved`). Vocabulary words are highlighted when present.
+ *
+ * @param {Array<object>} articles
+ * @param {{ layout?: string }} [options]
+ * @return {string}
+ */
+export function renderBilingualHtml(articles, { layout = 'table' } = {}) {
+    const titled = articles.map((a, i) => ({ ...a, anchor: `article-${i + 1}` }));
+    const contents = titled.filter(a => a.title).length > 1
+        ? `<ol class="bi-contents" id="contents">${titled.filter(a => a.title).map(a =>
+            `<li><a href="#${a.anchor}">${escapeHtml(a.title.target)}</a></li>`).join('')}</ol>`
+        : '';
+    const sections = titled.map(a => [
+        `<section class="bi-article" id="${a.anchor}">`,
+        a.title ? `<h2 class="article-title"><a name="${a.anchor}"></a>${escapeHtml(a.title.target)}</h2>` : `<a name="${a.anchor}"></a>`,
+        a.title ? `<p class="bi-source bi-source-title" style="${STYLE.source}">${escapeHtml(a.title.source)}</p>` : '',
+        renderPairs(a, layout),
+        contents ? '<p class="bi-back"><a href="#contents">↑ Contents</a></p>' : '',
+        '</section>',
+    ].filter(Boolean).join('\n'));
+    return [contents, ...sections].filter(Boolean).join('\n');
+}
+
+// text/plain 파트: 원문 문단 다음 줄에 번역
+export function bilingualText(articles) {
+    return articles.map(a => [
+        a.title ? `${a.title.target}\n${a.title.source}` : '',
+        ...a.paragraphs.map(p => `${p.source}\n${p.target}`),
+    ].filter(Boolean).join('\n\n')).join('\n\n\n');
+}
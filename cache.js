@@ -0,0 +1,126 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { writeJsonAtomic } from './ledger.js';
+
+// 모델 응답 캐시. 같은 입력(공급자·모델·프롬프트 버전·원문)이면 모델을 다시 부르지 않는다
+const CACHE_PATH = path.join(process.cwd(), 'data', 'cache.json');
+const DAY_MS = 86400000;
+
+export class CacheError extends Error {}
+
+// 키 재료를 JSON 으로 이어 sha256. 순서가 다르면 다른 키
+export function cacheKey(...parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Opens the persistent translation cache. Entries older than `ttlDays` are
+ * dropped, and when the file would grow past `maxSizeMB` the least recently
+ * used entries go first. Changes stay in memory until `save()`.
+ *
+ * @param {string} [filePath]
+ * @param {{ maxSizeMB?: number, ttlDays?: number }} [options]
+ */
+export default async function openTranslationCache(filePath = CACHE_PATH, { maxSizeMB = 20, ttlDays = 30 } = {}) {
+    let entries = {};
+    try {
+        entries = JSON.parse(await fs.readFile(filePath, 'utf-8')).entries || {};
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw new CacheError(`Cannot read translation cache ${filePath}: ${e.message}`);
+    }
+    const maxBytes = maxSizeMB * 1024 * 1024;
+    const stats = { hits: 0, misses: 0, writes: 0, expired: 0, evicted: 0 };
+    let dirty = false;
+
+    const isExpired = (entry, now) => now - Date.parse(entry.createdAt) > ttlDays * DAY_MS;
+
+    // 만료된 항목을 지우고, 크기를 넘으면 오래 안 쓴 것부터 지운다
+    function prune(now = Date.now()) {
+        let removed = 0;
+        for (const [key, entry] of Object.entries(entries)) {
+            if (!isExpired(entry, now)) continue;
+            delete entries[key];
+            stats.expired += 1;
+            removed += 1;
+        }
+        let total = Object.values(entries).reduce((sum, e) => sum + e.size, 0);
+        const byAge = Object.entries(entries).sort(([, a], [, b]) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+        for (const [key, entry] of byAge) {
+            if (total <= maxBytes) break;
+            delete entries[key];
+            total -= entry.size;
+            stats.evicted += 1;
+            removed += 1;
+        }
+        if (removed) dirty = true;
+        return removed;
+    }
+
+    async function save() {
+        if (!dirty) return;
+        prune();
+        await writeJsonAtomic(filePath, { version: 1, entries });
+        dirty = false;
+    }
+
+    return {
+        path: filePath,
+        stats,
+        get(key) {
+            const entry = entries[key];
+            const now = Date.now();
+            if (!entry || isExpired(entry, now)) {
+                stats.misses += 1;
+                return undefined;
+            }
+            entry.hits += 1;
+            entry.lastUsedAt = new Date(now).toISOString();
+            stats.hits += 1;
+            dirty = true;
+            return entry.value;
+        },
+        set(key, kind, value) {
+            const at = new Date().toISOString();
+            entries[key] = { kind, value, size: Buffer.byteLength(JSON.stringify(value)) + key.length, hits: 0, createdAt: at, lastUsedAt: at };
+            stats.writes += 1;
+            dirty = true;
+        },
+        save,
+        // 종류별 항목 수·크기·재사용 횟수 (cache 명령)
+        summary() {
+            const kinds = {};
+            let oldest = null;
+            for (const e of Object.values(entries)) {
+                const k = (kinds[e.kind] = kinds[e.kind] || { entries: 0, bytes: 0, hits: 0 });
+                k.entries += 1;
+                k.bytes += e.size;
+                k.hits += e.hits;
+                if (!oldest || e.createdAt < oldest) oldest = e.createdAt;
+            }
+            const all = Object.values(kinds);
+            return {
+                entries: all.reduce((sum, k) => sum + k.entries, 0),
+                bytes: all.reduce((sum, k) => sum + k.bytes, 0),
+                maxBytes,
+                ttlDays,
+                oldest,
+                kinds,
+            };
+        },
+        // kind 를 주면 그 종류만 지운다
+        async clear(kind) {
+            const keys = Object.keys(entries).filter(key => !kind || entries[key].kind === kind);
+            keys.forEach(key => delete entries[key]);
+            dirty = dirty || keys.length > 0;
+            await save();
+            return keys.length;
+        },
+        async prune() {
+            const removed = prune();
+            await save();
+            return removed;
+        },
+    };
+}
@@ -0,0 +1,385 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { BILINGUAL_LAYOUTS } from './bilingual.js';
+import { providerConfigFromEnv } from './providers.js';
+
+const CONFIG_PATH = path.join(process.cwd(), 'translator.config.json');
+
+export const TRANSLATION_MODES = ['plain', 'html', 'teaching', 'bilingual'];
+export const HTML_MODE_NAMES = ['e2e', 'dom'];
+// strict: 위험 요소나 원문에 없던 URL 이 하나라도 있으면 전송 안 함 / clean: 걷어내고 전송
+export const SANITIZE_POLICIES = ['strict', 'clean'];
+// 구독자 학습 수준. 번역문의 난이도와 어휘 난이도가 달라진다 (translate.js)
+export const LEARNING_LEVELS = ['beginner', 'intermediate', 'advanced'];
+// individual: 구독자마다 따로 한 통씩, bcc: 변형마다 한 통을 나에게 보내고 구독자는 숨은 참조로
+export const DELIVERY_METHODS = ['individual', 'bcc'];
+
+// 설정 파일이 없을 때 쓰는 기본 소스. 늦게 온 편지도 처리하도록 도착 시간대는 두지 않는다
+const NEWNEEK_SOURCE = {
+    id: 'newneek',
+    name: 'Newneek',
+    query: 'from:newneek.co',
+    newerThan: '1d',
+    window: null,
+    subjectPrefix: '[NEWNEEK-EN]',
+    glossary: { '뉴닉': 'Newneek', '뉴니커': 'Newneekers' },
+    mode: 'teaching',
+    sanitize: 'strict',
+    qualityRetries: 1,
+    sourceLang: 'Korean',
+    targetLang: 'English',
+};
+
+const SOURCE_DEFAULTS = {
+    newerThan: '1d',
+    window: null,
+    glossary: {},
+    mode: 'teaching',
+    sanitize: 'strict',
+    // 품질 검사에서 fail 이면 다시 번역하는 횟수 (qualityCheck.js)
+    qualityRetries: 1,
+    // mode 가 bilingual 일 때 레이아웃과 어려운 단어 표시 (bilingual.js)
+    bilingual: { layout: 'table', highlight: true },
+    // 번역 메일을 원문 스레드의 답장으로 보낼지, 원문(.eml)/어휘(CSV)를 첨부할지 (mime.js)
+    mail: { thread: false, attachOriginal: false, attachVocabulary: false },
+    sourceLang: 'Korean',
+    targetLang: 'English',
+};
+
+// API 별 동시 실행 수, 분당 요청 수(rpm), 재시도 횟수와 백오프 (throttle.js)
+const DEFAULT_LIMITS = {
+    model: { concurrency: 2, rpm: 30, retries: 4, baseDelayMs: 1000, maxDelayMs: 30000 },
+    gmail: { concurrency: 5, rpm: 240, retries: 4, baseDelayMs: 500, maxDelayMs: 16000 },
+};
+
+// 이보다 긴 본문은 섹션으로 나눠 따로 번역한 뒤 이어 붙인다
+const DEFAULT_MAX_CHUNK_CHARS = 12000;
+
+// 주간 복습 메일 (digest.js). quiz 는 문제 유형별 문항 수
+const DEFAULT_DIGEST = {
+    subjectPrefix: '[WEEKLY-REVIEW]',
+    days: 7,
+    timeZone: 'Asia/Seoul',
+    vocabulary: 15,
+    quiz: { fillIn: 5, matching: 5, translateBack: 3 },
+    sourceLang: 'Korean',
+    targetLang: 'English',
+};
+
+// 도착 시간대 밖의 메일: skip 은 skipped 로 기록하고 건너뜀, log 는 로그만 남기고 번역
+export const WINDOW_ACTIONS = ['skip', 'log'];
+
+// 데몬 모드 (daemon.js). 상태 파일과 동기화 상태 파일은 data/ 아래
+// retryFailedMinutes: failed 로 기록된 편지를 다시 시도하기까지 기다리는 시간 (폴링마다 다시 번역하지 않게)
+const DEFAULT_DAEMON = {
+    intervalSeconds: 300,
+    retryFailedMinutes: 60,
+    statusPath: 'data/status.json',
+    syncPath: 'data/sync.json',
+};
+
+// 번역 캐시 (cache.js). 크기(MB)를 넘으면 오래 안 쓴 항목부터, ttlDays 가 지나면 지운다
+const DEFAULT_CACHE = {
+    enabled: true,
+    path: 'data/cache.json',
+    maxSizeMB: 20,
+    ttlDays: 30,
+};
+
+// 처리한 편지 보관함 (archive.js) 과 보관함 웹 뷰어 포트 (archiveServer.js)
+const DEFAULT_ARCHIVE = {
+    enabled: true,
+    dir: 'data/archive',
+    port: 8080,
+};
+
+// 실행 보고서와 실행 기록 (report.js). historyDays 는 stats 로 볼 기간, reportDays 는 보고서 파일을 남길 기간
+// alertOn 상태의 편지가 있으면 alertTo (비우면 계정 주인) 에게 알림 메일. [] 이면 알림 없음
+// 기본은 실패와 건너뛰기 모두. 도착 시간대 밖 건너뛰기 알림이 많으면 ["failed"] 로 줄인다
+// pricing 은 모델별 백만 토큰당 달러 (입력, 출력). 표에 없는 모델은 비용 0 으로 계산
+const DEFAULT_REPORT = {
+    dir: 'data/reports',
+    historyPath: 'data/run-history.json',
+    historyDays: 400,
+    reportDays: 30,
+    timeZone: 'Asia/Seoul',
+    alertTo: '',
+    alertOn: ['failed', 'skipped'],
+    alertSubjectPrefix: '[TRANSLATOR-ALERT]',
+    pricing: {
+        'gemini-2.5-pro': { input: 1.25, output: 10 },
+        'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+        'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+    },
+};
+export const ALERT_STATUSES = ['failed', 'skipped'];
+
+// 팀 용어집 파일 (glossary.js). 설정 파일 위치가 아니라 실행 위치 기준
+const DEFAULT_GLOSSARY_PATH = 'glossary.json';
+
+// 번역 메일 받는 사람 (subscribers.js). 파일이 없으면 계정 주인 한 명에게만 보낸다
+const DEFAULT_DELIVERY = {
+    method: 'individual',
+    subscribersPath: 'subscribers.json',
+};
+
+export class ConfigError extends Error {}
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateSource(source, index) {
+    const where = `sources[${index}]${source.id ? ` (${source.id})` : ''}`;
+    for (const key of ['id', 'query', 'subjectPrefix']) {
+        if (typeof source[key] !== 'string' || !source[key].trim()) {
+            throw new ConfigError(`${where}: "${key}" must be a non-empty string`);
+        }
+    }
+    if (!TRANSLATION_MODES.includes(source.mode)) {
+        throw new ConfigError(`${where}: "mode" must be one of ${TRANSLATION_MODES.join(', ')}`);
+    }
+    if (source.htmlMode && !HTML_MODE_NAMES.includes(source.htmlMode)) {
+        throw new ConfigError(`${where}: "htmlMode" must be one of ${HTML_MODE_NAMES.join(', ')}`);
+    }
+    if (!SANITIZE_POLICIES.includes(source.sanitize)) {
+        throw new ConfigError(`${where}: "sanitize" must be one of ${SANITIZE_POLICIES.join(', ')}`);
+    }
+    if (!Number.isInteger(source.qualityRetries) || source.qualityRetries < 0 || source.qualityRetries > 3) {
+        throw new ConfigError(`${where}: "qualityRetries" must be an integer from 0 to 3`);
+    }
+    if (!BILINGUAL_LAYOUTS.includes(source.bilingual?.layout)) {
+        throw new ConfigError(`${where}: "bilingual.layout" must be one of ${BILINGUAL_LAYOUTS.join(', ')}`);
+    }
+    for (const [key, value] of Object.entries(source.mail)) {
+        if (!(key in SOURCE_DEFAULTS.mail)) throw new ConfigError(`${where}: unknown option "mail.${key}"`);
+        if (typeof value !== 'boolean') throw new ConfigError(`${where}: "mail.${key}" must be true or false`);
+    }
+    if (source.window) {
+        const { start, end, timeZone } = source.window;
+        if (!HHMM.test(start || '') || !HHMM.test(end || '')) {
+            throw new ConfigError(`${where}: "window.start" and "window.end" must be HH:MM`);
+        }
+        if (!WINDOW_ACTIONS.includes(source.window.action)) {
+            throw new ConfigError(`${where}: "window.action" must be one of ${WINDOW_ACTIONS.join(', ')}`);
+        }
+        if (typeof timeZone !== 'string') {
+            throw new ConfigError(`${where}: "window.timeZone" is required (e.g. "Asia/Seoul")`);
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch {
+            throw new ConfigError(`${where}: unknown time zone "${timeZone}"`);
+        }
+    }
+    if (typeof source.glossary !== 'object' || Array.isArray(source.glossary)) {
+        throw new ConfigError(`${where}: "glossary" must be an object of "source term": "translation"`);
+    }
+}
+
+function loadLimits(raw = {}, filePath) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(raw)) throw new ConfigError(`${filePath}: "limits" must be an object`);
+    const unknown = Object.keys(raw).find(api => !DEFAULT_LIMITS[api]);
+    if (unknown) throw new ConfigError(`${filePath}: limits: unknown API "${unknown}" (expected ${Object.keys(DEFAULT_LIMITS).join(', ')})`);
+    return Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([api, defaults]) => {
+        const where = `${filePath}: limits.${api}`;
+        if (raw[api] !== undefined && !isObject(raw[api])) throw new ConfigError(`${where}: must be an object`);
+        const limits = { ...defaults, ...raw[api] };
+        if (!Number.isInteger(limits.concurrency) || limits.concurrency < 1) {
+            throw new ConfigError(`${where}: "concurrency" must be a positive integer`);
+        }
+        // rpm 0 은 분당 제한 없음 (throttle.js)
+        for (const key of ['rpm', 'retries', 'baseDelayMs', 'maxDelayMs']) {
+            if (!Number.isInteger(limits[key]) || limits[key] < 0) throw new ConfigError(`${where}: "${key}" must be a non-negative integer`);
+        }
+        if (limits.maxDelayMs < limits.baseDelayMs) throw new ConfigError(`${where}: "maxDelayMs" must not be less than "baseDelayMs"`);
+        return [api, limits];
+    }));
+}
+
+function loadDelivery(raw = {}, filePath) {
+    const delivery = { ...DEFAULT_DELIVERY, ...raw };
+    if (!DELIVERY_METHODS.includes(delivery.method)) {
+        throw new ConfigError(`${filePath}: delivery: "method" must be one of ${DELIVERY_METHODS.join(', ')}`);
+    }
+    if (typeof delivery.subscribersPath !== 'string' || !delivery.subscribersPath.trim()) {
+        throw new ConfigError(`${filePath}: delivery: "subscribersPath" must be a file path`);
+    }
+    return { ...delivery, subscribersPath: path.resolve(delivery.subscribersPath) };
+}
+
+function loadCache(raw = {}, filePath) {
+    const cache = { ...DEFAULT_CACHE, ...raw };
+    if (typeof cache.enabled !== 'boolean') throw new ConfigError(`${filePath}: cache: "enabled" must be true or false`);
+    if (typeof cache.path !== 'string' || !cache.path.trim()) throw new ConfigError(`${filePath}: cache: "path" must be a file path`);
+    for (const key of ['maxSizeMB', 'ttlDays']) {
+        if (typeof cache[key] !== 'number' || !(cache[key] > 0)) {
+            throw new ConfigError(`${filePath}: cache: "${key}" must be a positive number`);
+        }
+    }
+    return { ...cache, path: path.resolve(cache.path) };
+}
+
+function loadArchive(raw = {}, filePath) {
+    const archive = { ...DEFAULT_ARCHIVE, ...raw };
+    if (typeof archive.enabled !== 'boolean') throw new ConfigError(`${filePath}: archive: "enabled" must be true or false`);
+    if (typeof archive.dir !== 'string' || !archive.dir.trim()) throw new ConfigError(`${filePath}: archive: "dir" must be a directory path`);
+    if (!Number.isInteger(archive.port) || archive.port < 1 || archive.port > 65535) {
+        throw new ConfigError(`${filePath}: archive: "port" must be an integer from 1 to 65535`);
+    }
+    return { ...archive, dir: path.resolve(archive.dir) };
+}
+
+function loadReport(raw = {}, filePath) {
+    const report = { ...DEFAULT_REPORT, ...raw, pricing: { ...DEFAULT_REPORT.pricing, ...raw.pricing } };
+    const where = `${filePath}: report`;
+    for (const key of ['dir', 'historyPath', 'alertSubjectPrefix']) {
+        if (typeof report[key] !== 'string' || !report[key].trim()) throw new ConfigError(`${where}: "${key}" must be a non-empty string`);
+    }
+    for (const key of ['historyDays', 'reportDays']) {
+        if (!Number.isInteger(report[key]) || report[key] < 1) throw new ConfigError(`${where}: "${key}" must be a positive integer`);
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: report.timeZone });
+    } catch {
+        throw new ConfigError(`${where}: unknown time zone "${report.timeZone}"`);
+    }
+    if (typeof report.alertTo !== 'string' || (report.alertTo && !report.alertTo.includes('@'))) {
+        throw new ConfigError(`${where}: "alertTo" must be an email address or empty`);
+    }
+    if (!Array.isArray(report.alertOn) || report.alertOn.some(s => !ALERT_STATUSES.includes(s))) {
+        throw new ConfigError(`${where}: "alertOn" must be a list of: ${ALERT_STATUSES.join(', ')}`);
+    }
+    for (const [model, price] of Object.entries(report.pricing)) {
+        if (!(price?.input >= 0) || !(price?.output >= 0)) {
+            throw new ConfigError(`${where}: pricing "${model}" needs non-negative "input" and "output" (USD per million tokens)`);
+        }
+    }
+    return { ...report, dir: path.resolve(report.dir), historyPath: path.resolve(report.historyPath) };
+}
+
+function loadDaemon(raw = {}, filePath) {
+    const daemon = { ...DEFAULT_DAEMON, ...raw };
+    if (!Number.isInteger(daemon.intervalSeconds) || daemon.intervalSeconds < 30) {
+        throw new ConfigError(`${filePath}: daemon: "intervalSeconds" must be an integer of at least 30`);
+    }
+    if (!Number.isInteger(daemon.retryFailedMinutes) || daemon.retryFailedMinutes < 1) {
+        throw new ConfigError(`${filePath}: daemon: "retryFailedMinutes" must be a positive integer`);
+    }
+    for (const key of ['statusPath', 'syncPath']) {
+        if (typeof daemon[key] !== 'string' || !daemon[key].trim()) {
+            throw new ConfigError(`${filePath}: daemon: "${key}" must be a non-empty string`);
+        }
+    }
+    return daemon;
+}
+
+function loadDigest(raw = {}, filePath) {
+    const digest = { ...DEFAULT_DIGEST, ...raw, quiz: { ...DEFAULT_DIGEST.quiz, ...raw.quiz } };
+    const where = `${filePath}: digest`;
+    if (typeof digest.subjectPrefix !== 'string' || !digest.subjectPrefix.trim()) {
+        throw new ConfigError(`${where}: "subjectPrefix" must be a non-empty string`);
+    }
+    if (!Number.isInteger(digest.days) || digest.days < 1 || digest.days > 31) {
+        throw new ConfigError(`${where}: "days" must be an integer from 1 to 31`);
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: digest.timeZone });
+    } catch {
+        throw new ConfigError(`${where}: unknown time zone "${digest.timeZone}"`);
+    }
+    for (const [key, value] of [['vocabulary', digest.vocabulary], ...Object.entries(digest.quiz).map(([k, v]) => [`quiz.${k}`, v])]) {
+        if (!Number.isInteger(value) || value < 0 || value > 50) {
+            throw new ConfigError(`${where}: "${key}" must be an integer from 0 to 50`);
+        }
+    }
+    return digest;
+}
+
+/**
+ * Loads translator.config.json (or `filePath`). Without a file the built-in
+ * Newneek source is used. It has no arrival window, so unlike the old
+ * hard-coded pipeline it also translates letters outside KST 05:00–07:59.
+ * Provider settings from the file are overridden by TRANSLATOR_* env vars.
+ *
+ * @param {string} [filePath]
+ * @return {Promise<{ path: string|null, provider: object, limits: object, maxChunkChars: number, glossaryPath: string, delivery: object, cache: object, archive: object, report: object, digest: object, daemon: object, sources: Array<object> }>}
+ */
+export default async function loadConfig(filePath = process.env.TRANSLATOR_CONFIG || CONFIG_PATH) {
+    let file = null;
+    try {
+        file = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw new ConfigError(`Cannot read config ${filePath}: ${e.message}`);
+    }
+
+    const rawSources = file?.sources || [NEWNEEK_SOURCE];
+    if (!Array.isArray(rawSources) || rawSources.length === 0) {
+        throw new ConfigError(`${filePath}: "sources" must be a non-empty array`);
+    }
+    const sources = rawSources.map((raw, i) => {
+        const source = {
+            ...SOURCE_DEFAULTS,
+            name: raw.id,
+            ...raw,
+            bilingual: { ...SOURCE_DEFAULTS.bilingual, ...raw.bilingual },
+            mail: { ...SOURCE_DEFAULTS.mail, ...raw.mail },
+        };
+        if (source.window) source.window = { action: 'skip', ...source.window };
+        validateSource(source, i);
+        return source;
+    });
+    const ids = sources.map(s => s.id);
+    const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (dup) throw new ConfigError(`${filePath}: duplicate source id "${dup}"`);
+
+    const maxChunkChars = file?.maxChunkChars ?? DEFAULT_MAX_CHUNK_CHARS;
+    if (!Number.isInteger(maxChunkChars) || maxChunkChars < 1000) {
+        throw new ConfigError(`${filePath}: "maxChunkChars" must be an integer of at least 1000`);
+    }
+    const glossaryPath = file?.glossaryPath ?? DEFAULT_GLOSSARY_PATH;
+    if (typeof glossaryPath !== 'string' || !glossaryPath.trim()) {
+        throw new ConfigError(`${filePath}: "glossaryPath" must be a file path`);
+    }
+
+    return {
+        path: file ? filePath : null,
+        provider: providerConfigFromEnv(process.env, file?.provider),
+        limits: loadLimits(file?.limits, filePath),
+        maxChunkChars,
+        glossaryPath: path.resolve(glossaryPath),
+        delivery: loadDelivery(file?.delivery, filePath),
+        cache: loadCache(file?.cache, filePath),
+        archive: loadArchive(file?.archive, filePath),
+        report: loadReport(file?.report, filePath),
+        digest: loadDigest(file?.digest, filePath),
+        daemon: loadDaemon(file?.daemon, filePath),
+        sources,
+    };
+}
+
+// --source a,b 로 일부 소스만 고를 때
+export function selectSources(config, ids) {
+    if (!ids || ids.length === 0) return config.sources;
+    return ids.map(id => {
+        const source = config.sources.find(s => s.id === id);
+        if (!source) throw new ConfigError(`Unknown source "${id}" (configured: ${config.sources.map(s => s.id).join(', ')})`);
+        return source;
+    });
+}
+
+// CLI --mode / --layout 로 이번 실행에서만 소스 설정을 덮어쓸 때
+export function withRunOverrides(source, { mode, layout } = {}) {
+    if (mode && !TRANSLATION_MODES.includes(mode)) {
+        throw new ConfigError(`Unknown mode "${mode}" (expected one of: ${TRANSLATION_MODES.join(', ')})`);
+    }
+    if (layout && !BILINGUAL_LAYOUTS.includes(layout)) {
+        throw new ConfigError(`Unknown bilingual layout "${layout}" (expected one of: ${BILINGUAL_LAYOUTS.join(', ')})`);
+    }
+    if (!mode && !layout) return source;
+    return {
+        ...source,
+        mode: mode || source.mode,
+        bilingual: { ...source.bilingual, layout: layout || source.bilingual.layout },
+    };
+}
@@ -0,0 +1,287 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { writeJsonAtomic } from './ledger.js';
+import { acquireLock, LOCK_PATH, withLock } from './lock.js';
+import { buildQuery, finishRun, listMessages, openSession, processMessages, startRun } from './pipeline.js';
+
+// Gmail 검색 색인은 history 보다 늦을 수 있다. 어느 소스 검색에도 안 걸린 새 메시지는 이 시간 동안 다음 폴링에서 다시 맞춰 본다
+const SEARCH_GRACE_MS = 60 * 60 * 1000;
+
+// 오래된 historyId 로 조회하면 Gmail 이 404 를 준다 (보통 일주일 정도 유지)
+function isHistoryExpired(err) {
+    const status = err?.status ?? err?.response?.status ?? err?.code;
+    return Number(status) === 404;
+}
+
+async function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw new Error(`Cannot read ${filePath}: ${e.message}`);
+    }
+}
+
+// startHistoryId 이후 받은편지함에 추가된 메시지 ID 와 최신 historyId. 내가 보낸 메일(SENT)은 뺀다
+async function historySince(session, startHistoryId) {
+    const ids = new Set();
+    let historyId = startHistoryId;
+    let pageToken = undefined;
+    do {
+        const res = await session.callGmail('history.list', () => session.gmail.users.history.list({
+            userId: 'me',
+            startHistoryId,
+            historyTypes: ['messageAdded'],
+            pageToken,
+        }));
+        for (const h of res.data.history || []) {
+            for (const { message } of h.messagesAdded || []) {
+                if (!(message.labelIds || []).includes('SENT')) ids.add(message.id);
+            }
+        }
+        historyId = res.data.historyId || historyId;
+        pageToken = res.data.nextPageToken;
+    } while (pageToken);
+    return { ids: [...ids], historyId };
+}
+
+// 새 메시지가 어느 소스에 속하는지는 Gmail 검색에 맡긴다: 소스 쿼리를 최근 기간으로 좁혀 돌린 뒤 교집합
+// (검색 기간은 하루 앞당겨 SEARCH_GRACE_MS 동안 다시 맞춰 보는 메시지도 들어가게 한다)
+async function matchSource(session, source, newIds, sinceMs, stats) {
+    const wanted = new Set(newIds);
+    const after = Math.floor(sinceMs / 1000) - 86400;
+    const matched = [];
+    await listMessages(session, `${source.query} after:${after}`, {
+        stats,
+        onPage: ids => matched.push(...ids.filter(id => wanted.has(id))),
+    });
+    return matched;
+}
+
+// 저장된 historyId 가 없거나 만료됐을 때: 기준점을 먼저 잡고 소스 쿼리(newerThan) 전체를 다시 처리
+async function resync(session, state, reason, run) {
+    console.warn('[translator] Full resync:', reason);
+    const profile = await session.callGmail('getProfile', () => session.gmail.users.getProfile({ userId: 'me' }));
+    for (const source of session.sources) {
+        const q = buildQuery(source);
+        console.log('[translator] Source', { id: source.id, mode: source.mode, query: q });
+        await listMessages(session, q, {
+            stats: run.stats,
+            onPage: ids => processMessages(session, source, ids, run),
+        });
+    }
+    state.historyId = profile.data.historyId;
+    state.unmatched = {};
+    state.lastResyncAt = new Date().toISOString();
+    run.resynced = true;
+}
+
+// history 에는 새 메시지만 나오므로, failed 로 기록된 편지는 run 처럼 소스 쿼리(newerThan)에 남아 있는 동안 다시 시도한다
+// 마지막 시도에서 retryFailedMinutes 가 지난 것만 (품질 검사에 계속 떨어지는 편지를 폴링마다 번역하지 않게)
+async function retryFailed(session, run, now = Date.now()) {
+    const retryMs = session.config.daemon.retryFailedMinutes * 60000;
+    const failed = session.ledger.entries().filter(e => e.status === 'failed' && now - Date.parse(e.updatedAt) >= retryMs);
+    for (const source of session.sources) {
+        const due = new Set(failed.filter(e => e.source === source.id).map(e => e.id));
+        if (due.size === 0) continue;
+        const ids = [];
+        await listMessages(session, buildQuery(source), {
+            stats: run.stats,
+            onPage: pageIds => ids.push(...pageIds.filter(id => due.has(id))),
+        });
+        if (ids.length) {
+            console.log('[translator] Source', { id: source.id, mode: source.mode, retryFailed: ids.length });
+            await processMessages(session, source, ids, run);
+        }
+    }
+}
+
+async function poll(session, state, run) {
+    if (!state.historyId) return resync(session, state, 'no saved history ID', run);
+    let history;
+    try {
+        history = await historySince(session, state.historyId);
+    } catch (e) {
+        if (isHistoryExpired(e)) return resync(session, state, `history ID ${state.historyId} expired`, run);
+        throw e;
+    }
+    console.log(`[translator] History since ${state.historyId}: ${history.ids.length} new message(s)`);
+    // 지난 폴링에서 아직 검색에 안 잡힌 메시지 { id: 처음 본 시각 } 도 함께 맞춰 본다
+    const unmatched = state.unmatched || {};
+    const newIds = [...new Set([...Object.keys(unmatched), ...history.ids])];
+    const matched = new Set();
+    if (newIds.length) {
+        const sinceMs = Date.parse(state.lastSyncAt || '') || Date.now();
+        for (const source of session.sources) {
+            const ids = await matchSource(session, source, newIds, sinceMs, run.stats);
+            ids.forEach(id => matched.add(id));
+            if (ids.length) {
+                console.log('[translator] Source', { id: source.id, mode: source.mode, new: ids.length });
+                await processMessages(session, source, ids, run);
+            }
+        }
+    }
+    const now = Date.now();
+    state.unmatched = Object.fromEntries(newIds
+        .filter(id => !matched.has(id))
+        .map(id => [id, unmatched[id] || new Date(now).toISOString()])
+        .filter(([, seenAt]) => now - Date.parse(seenAt) < SEARCH_GRACE_MS));
+    state.historyId = history.historyId;
+    await retryFailed(session, run);
+}
+
+/**
+ * Long-running mode: polls Gmail's history every `daemon.intervalSeconds`
+ * and processes only messages added since the last stored `historyId`
+ * (`daemon.syncPath`). New messages that no source query finds yet (the
+ * search index can lag behind history) are matched again on the following
+ * polls for an hour before they are given up. An expired or missing history
+ * ID triggers a full query resync. Letters recorded as failed are retried,
+ * like `run` does, while the source query still finds them and at most every
+ * `daemon.retryFailedMinutes`. Each poll holds the data lock (lock.js) and
+ * first re-reads the files other commands changed meanwhile (ledger,
+ * glossary, subscribers, ...); config changes need a restart. Progress is
+ * written to `daemon.statusPath` after every poll, and a run report (with an
+ * operator alert for failed or skipped letters) after every poll that
+ * processed letters. SIGINT/SIGTERM finish the current poll and stop; a
+ * second signal exits immediately. `once` runs a single poll (useful from
+ * cron).
+ *
+ * @param {OAuth2Client} auth
+ * @param {{ config?, sources?: string[], intervalSeconds?: number, once?: boolean, dryRun?: boolean, lockPath?: string }} [options]
+ */
+export default async function runDaemon(auth, { intervalSeconds, once = false, lockPath = LOCK_PATH, ...options } = {}) {
+    const session = await withLock(lockPath, 'daemon', () => openSession(auth, options));
+    const settings = session.config.daemon;
+    const intervalMs = (intervalSeconds ?? settings.intervalSeconds) * 1000;
+    const syncPath = path.resolve(settings.syncPath);
+    const statusPath = path.resolve(settings.statusPath);
+    const state = await readJson(syncPath, {});
+
+    const status = {
+        pid: process.pid,
+        state: 'starting',
+        startedAt: new Date().toISOString(),
+        dryRun: session.dryRun,
+        sources: session.sources.map(s => s.id),
+        intervalSeconds: intervalMs / 1000,
+        polls: 0,
+        consecutiveFailures: 0,
+        historyId: state.historyId || null,
+        lastPollAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        nextPollAt: null,
+        lastPoll: null,
+        totals: { sent: 0, skipped: 0, failed: 0, resyncs: 0 },
+    };
+    // 시그널 처리기와 루프가 동시에 쓸 수 있어 쓰기를 한 줄로 세운다 (같은 임시 파일을 쓰므로)
+    let writing = Promise.resolve();
+    const writeStatus = patch => {
+        Object.assign(status, patch, { updatedAt: new Date().toISOString() });
+        writing = writing.catch(() => {}).then(() => writeJsonAtomic(statusPath, status));
+        return writing;
+    };
+
+    const stop = new AbortController();
+    const onSignal = signal => {
+        if (stop.signal.aborted) {
+            console.warn(`[translator] ${signal} again, exiting now`);
+            process.exit(130);
+        }
+        console.log(`[translator] ${signal} received, stopping after the current poll`);
+        stop.abort();
+        writeStatus({ state: 'stopping' }).catch(() => {});
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    console.log('[translator] Daemon started', { pid: process.pid, sources: status.sources, intervalSeconds: status.intervalSeconds, historyId: status.historyId, dryRun: session.dryRun });
+
+    try {
+        while (!stop.signal.aborted) {
+            await writeStatus({ state: 'polling', lastPollAt: new Date().toISOString(), nextPollAt: null });
+            let run = null;
+            let release = null;
+            try {
+                release = await acquireLock(lockPath, { command: 'daemon', signal: stop.signal });
+                // 폴링 사이에 다른 명령이 고친 파일을 다시 읽는다. 캐시 통계가 바뀔 수 있어 실행을 시작하기 전에
+                await session.reload();
+                run = { ...startRun(session), resynced: false };
+                await poll(session, state, run);
+                state.lastSyncAt = new Date().toISOString();
+                // dry-run 은 동기화 상태를 파일에 남기지 않는다
+                if (!session.dryRun) await writeJsonAtomic(syncPath, state);
+                const { sent, skipped, failed } = run.stats;
+                status.totals = {
+                    sent: status.totals.sent + sent,
+                    skipped: status.totals.skipped + skipped,
+                    failed: status.totals.failed + failed,
+                    resyncs: status.totals.resyncs + (run.resynced ? 1 : 0),
+                };
+                await writeStatus({
+                    state: 'idle',
+                    polls: status.polls + 1,
+                    consecutiveFailures: 0,
+                    historyId: state.historyId,
+                    lastSuccessAt: state.lastSyncAt,
+                    lastPoll: run.stats,
+                });
+                console.log('[translator] Poll done', { historyId: state.historyId, ...run.stats, cache: session.cache ? session.cache.stats : 'off' });
+            } catch (e) {
+                console.error('[translator] Poll failed:', e?.message || e);
+                await writeStatus({
+                    state: 'idle',
+                    polls: status.polls + 1,
+                    consecutiveFailures: status.consecutiveFailures + 1,
+                    lastError: { at: new Date().toISOString(), message: String(e?.message || e) },
+                });
+            }
+            try {
+                // 편지를 처리한 폴링만 보고서를 남긴다 (빈 폴링은 몇 분마다 생기므로). 도중에 실패한 폴링도 처리한 만큼은 남긴다
+                if (run?.results.length) await finishRun(session, run, 'poll');
+            } finally {
+                if (release) {
+                    await session.checkpoint();
+                    await release();
+                }
+            }
+            if (once) break;
+            await writeStatus({ nextPollAt: new Date(Date.now() + intervalMs).toISOString() });
+            await sleep(intervalMs, undefined, { signal: stop.signal }).catch(() => {});
+        }
+    } finally {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+        await writeStatus({ state: 'stopped', stoppedAt: new Date().toISOString(), nextPollAt: null });
+        console.log('[translator] Daemon stopped', status.totals);
+    }
+    return status;
+}
+
+/**
+ * Reads the daemon status file and judges its health: the process is
+ * alive and the last successful poll is at most three intervals old.
+ *
+ * @return {Promise<{ status: object|null, healthy: boolean, problems: string[] }>}
+ */
+export async function checkDaemonStatus(config, now = Date.now()) {
+    const status = await readJson(path.resolve(config.daemon.statusPath), null);
+    if (!status) return { status: null, healthy: false, problems: ['no status file (daemon never started)'] };
+    const problems = [];
+    if (status.state === 'stopped') {
+        problems.push(`stopped at ${status.stoppedAt}`);
+    } else {
+        try {
+            process.kill(status.pid, 0);
+        } catch {
+            problems.push(`process ${status.pid} is not running`);
+        }
+    }
+    const lastSuccess = Date.parse(status.lastSuccessAt || '');
+    if (!lastSuccess) problems.push('no successful poll yet');
+    else if (now - lastSuccess > 3 * status.intervalSeconds * 1000) problems.push(`last successful poll at ${status.lastSuccessAt}`);
+    if (status.consecutiveFailures) problems.push(`${status.consecutiveFailures} failed poll(s) in a row: ${status.lastError?.message}`);
+    return { status, healthy: problems.length === 0, problems };
+}
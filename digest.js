@@ -0,0 +1,266 @@
+import loadConfig from './config.js';
+import openLedger from './ledger.js';
+import { LOCK_PATH, withLock } from './lock.js';
+import { htmlToText } from './mime.js';
+import { createApis, openCache, sendMail } from './pipeline.js';
+import { renderStudyNotes } from './teaching.js';
+import createTranslator from './translate.js';
+import openVocabBank from './vocabBank.js';
+import { escapeHtml } from './textUtils.js';
+
+// 원장에 주간 메일을 기록할 때 쓰는 키 접두어. Gmail 메시지 ID 와 겹치지 않는다
+export const DIGEST_KEY_PREFIX = 'digest:';
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// 설정 시간대 기준 YYYY-MM-DD
+function dayInZone(ms, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit', timeZone }).format(new Date(ms));
+}
+
+function shiftDay(day, days) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * The days a digest covers: `until` defaults to today and `since` to
+ * `days - 1` days before it, both inclusive, in the digest's time zone.
+ */
+export function digestRange({ since, until, days, timeZone }, now = Date.now()) {
+    until = until || dayInZone(now, timeZone);
+    since = since || shiftDay(until, -(days - 1));
+    for (const day of [since, until]) {
+        if (!DAY.test(day) || Number.isNaN(Date.parse(day))) throw new Error(`Invalid date "${day}" (expected YYYY-MM-DD)`);
+    }
+    if (since > until) throw new Error(`--since ${since} is after --until ${until}`);
+    return { since, until };
+}
+
+/**
+ * Collects the letters sent in the range (from the ledger) and the
+ * vocabulary and sentence patterns they added to the bank. Words are ordered
+ * by how often they have appeared overall, so recurring words come first.
+ */
+export function collectDigest({ ledger, vocab, since, until, timeZone, vocabulary }) {
+    const letters = ledger.entries()
+        .filter(e => e.status === 'sent' && !e.id.startsWith(DIGEST_KEY_PREFIX))
+        .map(e => ({ ...e, day: dayInZone(Date.parse(e.receivedAt || e.updatedAt), timeZone) }))
+        .filter(e => e.day >= since && e.day <= until)
+        .sort((a, b) => a.day.localeCompare(b.day));
+    const ids = new Set(letters.map(l => l.id));
+    const entries = vocab.entries().filter(e => e.occurrences.some(o => ids.has(o.letterId)));
+
+    const titles = new Map();
+    for (const e of entries) {
+        for (const o of e.occurrences) {
+            if (!ids.has(o.letterId) || !o.title) continue;
+            if (!titles.has(o.letterId)) titles.set(o.letterId, new Set());
+            titles.get(o.letterId).add(o.title);
+        }
+    }
+
+    const days = [];
+    for (const l of letters) {
+        if (days.at(-1)?.day !== l.day) days.push({ day: l.day, letters: [] });
+        days.at(-1).letters.push({
+            id: l.id,
+            source: l.source,
+            subject: l.sentSubject || l.subject || '(No Subject)',
+            titles: [...(titles.get(l.id) || [])],
+        });
+    }
+    return {
+        since,
+        until,
+        days,
+        letterCount: letters.length,
+        words: entries.filter(e => e.kind === 'word').slice(0, vocabulary),
+        patterns: entries.filter(e => e.kind === 'pattern'),
+    };
+}
+
+// 같은 기간이면 같은 퀴즈가 나오도록 기간 문자열로 시드를 만든다
+function seededRandom(seed) {
+    let h = 2166136261;
+    for (const ch of seed) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+    return () => {
+        h = Math.imul(h ^ (h >>> 15), 2246822507);
+        h = Math.imul(h ^ (h >>> 13), 3266489909);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(list, random) {
+    const out = [...list];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the quiz from the digest: fill-in-the-blank from vocabulary example
+ * sentences, definition matching, and translate-back sentences (pattern
+ * examples translated into the source language by the model). Without a
+ * working model the translate-back part is left out.
+ */
+export async function buildQuiz(digest, counts, { translator }) {
+    const random = seededRandom(`${digest.since}..${digest.until}`);
+
+    // 단어(활용형 포함)가 예문에 그대로 나오는 경우만 빈칸 문제로 쓴다
+    const fillIn = [];
+    for (const w of shuffle(digest.words, random)) {
+        if (fillIn.length >= counts.fillIn) break;
+        const match = w.example.match(new RegExp(`\\b${escapeRegExp(w.term)}\\w*`, 'i'));
+        if (!match || match[0].length === w.example.trim().length) continue;
+        fillIn.push({ prompt: w.example.replace(match[0], '_____'), answer: match[0] });
+    }
+
+    const pairs = shuffle(digest.words.filter(w => w.definition), random).slice(0, counts.matching);
+    const definitions = shuffle(pairs.map((w, i) => ({ index: i, definition: w.definition })), random)
+        .map((d, i) => ({ ...d, label: String.fromCharCode(65 + i) }));
+    const matching = {
+        words: pairs.map(w => w.term),
+        definitions: definitions.map(d => ({ label: d.label, definition: d.definition })),
+        answers: pairs.map((w, i) => ({ word: w.term, label: definitions.find(d => d.index === i).label })),
+    };
+
+    let translateBack = [];
+    const examples = [...digest.patterns, ...digest.words].map(e => e.example).filter(Boolean);
+    const sentences = shuffle([...new Set(examples)], random).slice(0, counts.translateBack);
+    if (sentences.length && translator.available) {
+        try {
+            const back = await translator.translateBack(sentences);
+            if (back) translateBack = sentences.map((answer, i) => ({ prompt: back[i], answer }));
+            else console.warn('[translator] Digest translate-back skipped: model returned no usable sentences');
+        } catch (e) {
+            console.warn('[translator] Digest translate-back skipped:', e?.message || e);
+        }
+    }
+    return { fillIn, matching, translateBack };
+}
+
+function list(tag, items, className = '') {
+    const cls = className ? ` class="${className}"` : '';
+    return `<${tag}${cls}>${items.map(i => `<li>${i}</li>`).join('')}</${tag}>`;
+}
+
+/**
+ * Renders the digest mail body: a recap per day, the week's vocabulary and
+ * sentence patterns, the quiz and, at the bottom, the answer key.
+ */
+export function renderDigestHtml(digest, quiz) {
+    const recap = digest.days.map(d => [
+        `<h3>${escapeHtml(d.day)}</h3>`,
+        list('ul', d.letters.map(l => escapeHtml(l.subject) + (l.titles.length ? list('ul', l.titles.map(escapeHtml)) : ''))),
+    ].join('\n'));
+
+    const notes = digest.words.length || digest.patterns.length
+        ? renderStudyNotes({
+            vocabulary: digest.words.map(w => ({ word: w.term, ipa: w.ipa, definition: w.definition, example: w.example })),
+            patterns: digest.patterns.slice(0, 5).map(p => ({ pattern: p.term, example: p.example })),
+        })
+        : '<p>No vocabulary was collected this week.</p>';
+
+    const questions = [];
+    const answers = [];
+    if (quiz.fillIn.length) {
+        questions.push('<h3>Fill in the blank</h3>', list('ol', quiz.fillIn.map(q => escapeHtml(q.prompt)), 'quiz-fill-in'));
+        answers.push('<h3>Fill in the blank</h3>', list('ol', quiz.fillIn.map(q => escapeHtml(q.answer))));
+    }
+    if (quiz.matching.words.length) {
+        questions.push(
+            '<h3>Match the definitions</h3>',
+            list('ol', quiz.matching.words.map(escapeHtml), 'quiz-words'),
+            list('ul', quiz.matching.definitions.map(d => `${d.label}. ${escapeHtml(d.definition)}`), 'quiz-definitions'),
+        );
+        answers.push('<h3>Match the definitions</h3>', list('ol', quiz.matching.answers.map(a => `${escapeHtml(a.word)} → ${a.label}`)));
+    }
+    if (quiz.translateBack.length) {
+        questions.push('<h3>Translate back</h3>', list('ol', quiz.translateBack.map(q => escapeHtml(q.prompt)), 'quiz-translate-back'));
+        answers.push('<h3>Translate back</h3>', list('ol', quiz.translateBack.map(q => escapeHtml(q.answer))));
+    }
+
+    const body = [
+        `<h1>Weekly review: ${escapeHtml(digest.since)} – ${escapeHtml(digest.until)}</h1>`,
+        `<section class="recap"><h2>This week's letters</h2>\n${recap.join('\n')}</section>`,
+        `<section class="study-notes"><h2>Words to keep</h2>\n${notes}</section>`,
+        questions.length ? `<section class="quiz"><h2>Quiz</h2>\n${questions.join('\n')}</section>` : '',
+        answers.length ? `<section class="answer-key"><h2>Answer key</h2>\n${answers.join('\n')}</section>` : '',
+    ].filter(Boolean).join('\n');
+    return `<html><head></head><body>${body}</body></html>`;
+}
+
+/**
+ * Builds and sends the review digest for the range (default: the last
+ * `digest.days` days) to the account owner only; subscribers don't get it.
+ * A sent digest is recorded in the ledger under `digest:<since>..<until>`,
+ * so a scheduled re-run doesn't send it twice unless `force` is set. It
+ * holds the data lock (lock.js) while it reads and records the ledger.
+ * Returns `{ id, status, reason, subject, bodyHtml }` with a status of
+ * `sent`, `dry-run`, `skipped` or `failed`.
+ *
+ * @param {OAuth2Client} auth
+ * @param {{ config?, ledger?, vocab?, since?: string, until?: string, dryRun?: boolean, force?: boolean, lockPath?: string }} [options]
+ */
+export default async function runDigest(auth, { lockPath = LOCK_PATH, ...options } = {}) {
+    return withLock(lockPath, 'digest', () => digestLocked(auth, options));
+}
+
+async function digestLocked(auth, { config, ledger, vocab, since, until, dryRun = false, force = false }) {
+    config = config || await loadConfig();
+    ledger = ledger || await openLedger();
+    vocab = vocab || await openVocabBank();
+    const settings = config.digest;
+    const range = digestRange({ since, until, days: settings.days, timeZone: settings.timeZone });
+    const id = `${DIGEST_KEY_PREFIX}${range.since}..${range.until}`;
+    const subject = `${settings.subjectPrefix} ${range.since} – ${range.until}`;
+
+    if (ledger.isDone(id) && !force) {
+        console.log('[translator] Skip digest (ledger)', id, ledger.get(id).status);
+        return { id, status: 'skipped', reason: 'digest already sent', subject };
+    }
+    const digest = collectDigest({ ledger, vocab, ...range, timeZone: settings.timeZone, vocabulary: settings.vocabulary });
+    if (digest.letterCount === 0) {
+        console.log('[translator] Skip digest, no letters sent in range', range);
+        return { id, status: 'skipped', reason: 'no letters in range', subject };
+    }
+
+    const { gmail, provider, callGmail } = createApis(auth, config);
+    const cache = await openCache(config);
+    const translator = createTranslator(provider, {
+        sourceLang: settings.sourceLang,
+        targetLang: settings.targetLang,
+        maxChunkChars: config.maxChunkChars,
+        cache,
+    });
+    console.log('[translator] Digest', { id, letters: digest.letterCount, words: digest.words.length, patterns: digest.patterns.length });
+    const quiz = await buildQuiz(digest, settings.quiz, { translator });
+    await cache?.save();
+    const bodyHtml = renderDigestHtml(digest, quiz);
+    const result = { id, subject, bodyHtml, letters: digest.letterCount };
+
+    if (dryRun) {
+        console.log('[translator] Dry run, not sending digest', id);
+        return { ...result, status: 'dry-run', reason: '' };
+    }
+    try {
+        const profile = await callGmail('getProfile', () => gmail.users.getProfile({ userId: 'me' }));
+        const me = profile.data.emailAddress;
+        await callGmail('messages.send', () => sendMail(gmail, { to: me, from: me, subject, bodyText: htmlToText(bodyHtml), bodyHtml }));
+        console.log('[translator] Sent digest', id);
+        await ledger.record(id, 'sent', { source: 'digest', subject, letters: digest.letterCount });
+        return { ...result, status: 'sent', reason: '' };
+    } catch (e) {
+        console.error('[translator] Digest send failed:', e?.message || e);
+        const reason = `sendMail failed: ${e?.message || e}`;
+        await ledger.record(id, 'failed', { source: 'digest', reason, subject });
+        return { ...result, status: 'failed', reason };
+    }
+}
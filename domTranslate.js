@@ -0,0 +1,268 @@
+import { parse } from 'parse5';
+
+// 번역 대상에서 빼는 요소 (텍스트가 아니거나 코드인 것)
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'math', 'code']);
+const TRANSLATABLE_ATTRS = ['alt', 'title'];
+// 학습 블록을 끼워 넣어도 되는 부모 (블록 요소를 자식으로 가질 수 있는 것)
+const FLOW_CONTAINERS = new Set(['body', 'div', 'td', 'th', 'section', 'article', 'main', 'li', 'blockquote', 'center', 'dd']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3']);
+// 문단 경계가 되는 요소 (bilingual 모드의 문단 추출)
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+    'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+
+const HANGUL = /[\uAC00-\uD7A3]/;
+const BODY = new Set(['body']);
+
+function escapeText(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(str) {
+    return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function hasAncestor(node, tags) {
+    for (let p = node.parentNode; p; p = p.parentNode) {
+        if (tags.has(p.tagName)) return true;
+    }
+    return false;
+}
+
+// 텍스트 노드에서 위로 올라가며, 블록을 뒤에 붙여도 되는 가장 바깥 노드를 찾는다
+function insertionOffset(textNode) {
+    let node = textNode;
+    while (node.parentNode && node.parentNode.tagName && !FLOW_CONTAINERS.has(node.parentNode.tagName)) {
+        node = node.parentNode;
+    }
+    return node.sourceCodeLocation?.endOffset ?? textNode.sourceCodeLocation.endOffset;
+}
+
+/**
+ * Parses an email and lists every piece of translatable text with its exact
+ * source offsets: Hangul-bearing text nodes plus `alt`/`title` attributes.
+ * Segments are grouped into articles, split at h1–h3 headings; each article
+ * records where a generated block can be inserted after it. `text` decides
+ * which text counts; already translated HTML passes one that matches any
+ * letter, to find its articles.
+ *
+ * @param {string} html
+ * @param {{ text?: RegExp }} [options]
+ * @return {{ segments: Array<object>, articles: Array<{ segmentIds: string[], insertAt: number }> }}
+ */
+export function collectSegments(html, { text = HANGUL } = {}) {
+    const doc = parse(html, { sourceCodeLocationInfo: true });
+    const segments = [];
+    const articles = [];
+    let current = null;
+
+    function addSegment(seg) {
+        seg.id = `s${segments.length + 1}`;
+        segments.push(seg);
+        return seg;
+    }
+
+    function walk(node) {
+        if (SKIP_TAGS.has(node.tagName)) return;
+        const loc = node.sourceCodeLocation;
+        if (node.nodeName === '#text') {
+            if (!loc || !text.test(node.value)) return;
+            const raw = html.slice(loc.startOffset, loc.endOffset);
+            const seg = addSegment({
+                kind: 'text',
+                start: loc.startOffset,
+                end: loc.endOffset,
+                lead: raw.match(/^\s*/)[0],
+                trail: raw.match(/\s*$/)[0],
+                text: node.value.trim(),
+            });
+            // <head> 안의 텍스트(<title>)는 기사에 넣지 않는다
+            if (!hasAncestor(node, BODY)) return;
+            const startsArticle = hasAncestor(node, HEADING_TAGS);
+            if (!current || (startsArticle && !current.inHeading)) {
+                current = { segmentIds: [], insertAt: null, inHeading: startsArticle };
+                articles.push(current);
+            }
+            current.inHeading = startsArticle;
+            current.segmentIds.push(seg.id);
+            current.insertAt = insertionOffset(node);
+            return;
+        }
+        for (const name of TRANSLATABLE_ATTRS) {
+            const attr = (node.attrs || []).find(a => a.name === name);
+            const attrLoc = loc?.attrs?.[name];
+            if (!attr || !attrLoc || !text.test(attr.value)) continue;
+            addSegment({
+                kind: 'attr',
+                start: attrLoc.startOffset,
+                end: attrLoc.endOffset,
+                rawName: html.slice(attrLoc.startOffset, attrLoc.startOffset + name.length),
+                text: attr.value.trim(),
+            });
+        }
+        (node.childNodes || []).forEach(walk);
+    }
+    walk(doc);
+
+    return {
+        segments,
+        articles: articles.map(({ segmentIds, insertAt }) => ({ segmentIds, insertAt })),
+    };
+}
+
+/**
+ * Writes translated text back into the original HTML by splicing at the
+ * recorded offsets, so everything outside the segments stays byte-for-byte
+ * identical. `insertions` are `{ at, html }` blocks added verbatim.
+ *
+ * @param {string} html
+ * @param {Array<object>} segments
+ * @param {Record<string, string>} translations segment id -> English text
+ * @param {Array<{ at: number, html: string }>} [insertions]
+ * @return {string}
+ */
+export function applySegments(html, segments, translations, insertions = []) {
+    const edits = [];
+    for (const seg of segments) {
+        const out = translations[seg.id];
+        if (typeof out !== 'string') continue;
+        const replacement = seg.kind === 'attr'
+            ? `${seg.rawName}="${escapeAttr(out)}"`
+            : `${seg.lead}${escapeText(out)}${seg.trail}`;
+        edits.push({ start: seg.start, end: seg.end, text: replacement });
+    }
+    for (const ins of insertions) {
+        edits.push({ start: ins.at, end: ins.at, text: ins.html });
+    }
+    // 뒤에서부터 잘라 붙여야 앞쪽 오프셋이 유지된다. 시작점이 같으면 긴 구간부터
+    edits.sort((a, b) => (b.start - a.start) || (b.end - a.end));
+    let out = html;
+    for (const e of edits) {
+        out = out.slice(0, e.start) + e.text + out.slice(e.end);
+    }
+    return out;
+}
+
+/**
+ * Lists the readable paragraphs of an email in document order: the text of
+ * each block element with inline markup dropped, keeping only paragraphs
+ * with Hangul. Paragraphs are grouped into articles at h1–h3 headings,
+ * whose text becomes the article title ('' before the first heading).
+ *
+ * @param {string} html
+ * @return {Array<{ title: string, paragraphs: string[] }>}
+ */
+export function collectParagraphs(html) {
+    const blocks = [];
+
+    function flush(parts, tagName) {
+        const text = parts.join('').replace(/\s+/g, ' ').trim();
+        parts.length = 0;
+        if (HANGUL.test(text)) blocks.push({ text, heading: HEADING_TAGS.has(tagName) });
+    }
+
+    // 블록 요소를 만나면 그 앞까지의 인라인 텍스트를 한 문단으로 끊는다
+    function walk(node, parts, blockTag) {
+        for (const child of node.childNodes || []) {
+            if (child.nodeName === '#text') {
+                parts.push(child.value);
+            } else if (child.tagName === 'br') {
+                parts.push(' ');
+            } else if (!child.tagName || SKIP_TAGS.has(child.tagName)) {
+                continue;
+            } else if (BLOCK_TAGS.has(child.tagName)) {
+                flush(parts, blockTag);
+                const inner = [];
+                walk(child, inner, child.tagName);
+                flush(inner, child.tagName);
+            } else {
+                walk(child, parts, blockTag);
+            }
+        }
+    }
+
+    const doc = parse(html);
+    const htmlEl = (doc.childNodes || []).find(n => n.tagName === 'html');
+    const body = (htmlEl?.childNodes || []).find(n => n.tagName === 'body') || doc;
+    const rest = [];
+    walk(body, rest, 'body');
+    flush(rest, 'body');
+
+    const articles = [];
+    for (const block of blocks) {
+        const current = articles.at(-1);
+        // 제목 바로 다음 제목(부제)은 새 기사로 보지 않고 문단으로 둔다
+        if (block.heading && !(current?.title && current.paragraphs.length === 0)) {
+            articles.push({ title: block.text, paragraphs: [] });
+        } else if (current) {
+            current.paragraphs.push(block.text);
+        } else {
+            articles.push({ title: '', paragraphs: [block.text] });
+        }
+    }
+    return articles;
+}
+
+// 파서가 끼워 넣은 요소(<tbody> 등)는 원문 위치가 없으므로 그 자식들을 대신 본다
+function locatedChildren(node) {
+    return (node.childNodes || []).flatMap(child =>
+        (child.sourceCodeLocation ? [child] : locatedChildren(child)));
+}
+
+// node 의 자식들을 maxChars 이하 묶음으로 나눈다. 혼자서 너무 큰 자식은 시작/끝 태그를 그대로 두고 안쪽을 다시 나눔
+function splitChildren(html, node, start, end, maxChars) {
+    const pieces = [];
+    let groupStart = start;
+    let cursor = start;
+
+    function flush(upTo) {
+        if (upTo > groupStart) pieces.push({ html: html.slice(groupStart, upTo), translate: true });
+        groupStart = upTo;
+    }
+
+    for (const child of locatedChildren(node)) {
+        const loc = child.sourceCodeLocation;
+        if (loc.startOffset < cursor) continue;
+        const size = loc.endOffset - loc.startOffset;
+        const splittable = size > maxChars && loc.startTag && loc.endTag && locatedChildren(child).length > 0;
+        if (splittable) {
+            flush(loc.startOffset);
+            pieces.push({ html: html.slice(loc.startOffset, loc.startTag.endOffset), translate: false });
+            pieces.push(...splitChildren(html, child, loc.startTag.endOffset, loc.endTag.startOffset, maxChars));
+            pieces.push({ html: html.slice(loc.endTag.startOffset, loc.endOffset), translate: false });
+            groupStart = loc.endOffset;
+        } else if (loc.endOffset - groupStart > maxChars && loc.startOffset > groupStart) {
+            flush(loc.startOffset);
+        }
+        cursor = loc.endOffset;
+    }
+    flush(end);
+    return pieces;
+}
+
+/**
+ * Splits an email into pieces of at most roughly `maxChars` for separate
+ * translation. Pieces with `translate: false` (everything outside <body>,
+ * wrapper tags of split elements) must be kept verbatim; joining all pieces
+ * in order gives back the original HTML exactly.
+ *
+ * @param {string} html
+ * @param {number} maxChars
+ * @return {Array<{ html: string, translate: boolean }>}
+ */
+export function splitHtmlSections(html, maxChars) {
+    const doc = parse(html, { sourceCodeLocationInfo: true });
+    const htmlEl = (doc.childNodes || []).find(n => n.tagName === 'html');
+    const body = (htmlEl?.childNodes || []).find(n => n.tagName === 'body');
+    const loc = body?.sourceCodeLocation;
+    // <body> 태그가 원문에 없으면 문서 전체를 본문으로 본다
+    if (!loc?.startTag) return splitChildren(html, body || doc, 0, html.length, maxChars);
+    const contentEnd = loc.endTag ? loc.endTag.startOffset : html.length;
+    return [
+        { html: html.slice(0, loc.startTag.endOffset), translate: false },
+        ...splitChildren(html, body, loc.startTag.endOffset, contentEnd, maxChars),
+        { html: html.slice(contentEnd), translate: false },
+    ].filter(p => p.html);
+}
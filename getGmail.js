@@ -3,7 +3,7 @@ import path from 'node:path';
 import process from 'node:process';
 import {authenticate} from '@google-cloud/local-auth';
 import {google} from 'googleapis';
-import getNewneekLetters from './getNewneekLetters.js';
+import runPipeline from './pipeline.js';
 
 // If modifying these scopes, delete token.json.
 const SCOPES = [
@@ -13,7 +13,7 @@ const SCOPES = [
 // The file token.json stores the user's access and refresh tokens, and is
 // created automatically when the authorization flow completes for the first
 // time.
-const TOKEN_PATH = path.join(process.cwd(), 'token.json');
+export const TOKEN_PATH = path.join(process.cwd(), 'token.json');
 const CREDENTIALS_PATH = path.join(process.cwd(), 'credentials.json');
 
 /**
@@ -21,62 +21,63 @@ const CREDENTIALS_PATH = path.join(process.cwd(), 'credentials.json');
  *
  * @return {Promise<OAuth2Client|null>}
  */
+async function loadSavedCredentialsIfExist() {
+  try {
+    const content = await fs.readFile(TOKEN_PATH);
+    const credentials = JSON.parse(content);
+    return google.auth.fromJSON(credentials);
+  } catch (err) {
+    return null;
+  }
+}
 
-export default async function getGmail() {
-    async function loadSavedCredentialsIfExist() {
-        try {
-          const content = await fs.readFile(TOKEN_PATH);
-          const credentials = JSON.parse(content);
-          return google.auth.fromJSON(credentials);
-        } catch (err) {
-          return null;
-        }
-      }
-      
-      /**
-       * Serializes credentials to a file compatible with GoogleAuth.fromJSON.
-       *
-       * @param {OAuth2Client} client
-       * @return {Promise<void>}
-       */
-      async function saveCredentials(client) {
-        const content = await fs.readFile(CREDENTIALS_PATH);
-        const keys = JSON.parse(content);
-        const key = keys.installed || keys.web;
-        const payload = JSON.stringify({
-          type: 'authorized_user',
-          client_id: key.client_id,
-          client_secret: key.client_secret,
-          refresh_token: client.credentials.refresh_token,
-        });
-        await fs.writeFile(TOKEN_PATH, payload);
-      }
-      
-      /**
-       * Load or request or authorization to call APIs.
-       *
-       */
-      async function authorize() {
-        let client = await loadSavedCredentialsIfExist();
-        if (client) {
-          return client;
-        }
-        client = await authenticate({
-          scopes: SCOPES,
-          keyfilePath: CREDENTIALS_PATH,
-        });
-        if (client.credentials) {
-          await saveCredentials(client);
-        }
-        return client;
-      }
-      
-      try {
-        const auth = await authorize();
-        const messages = await getNewneekLetters(auth);
-        return messages;
-      } catch(e) {
-        console.error(e);
-        return[];
-      }
-}
\ No newline at end of file
+/**
+ * Serializes credentials to a file compatible with GoogleAuth.fromJSON.
+ *
+ * @param {OAuth2Client} client
+ * @return {Promise<void>}
+ */
+async function saveCredentials(client) {
+  const content = await fs.readFile(CREDENTIALS_PATH);
+  const keys = JSON.parse(content);
+  const key = keys.installed || keys.web;
+  const payload = JSON.stringify({
+    type: 'authorized_user',
+    client_id: key.client_id,
+    client_secret: key.client_secret,
+    refresh_token: client.credentials.refresh_token,
+  });
+  await fs.writeFile(TOKEN_PATH, payload);
+}
+
+/**
+ * Load or request or authorization to call APIs.
+ *
+ * @param {{ force?: boolean }} [options] force: ignore token.json and run the OAuth flow again
+ * @return {Promise<OAuth2Client>}
+ */
+export async function authorize({ force = false } = {}) {
+  let client = force ? null : await loadSavedCredentialsIfExist();
+  if (client) {
+    return client;
+  }
+  client = await authenticate({
+    scopes: SCOPES,
+    keyfilePath: CREDENTIALS_PATH,
+  });
+  if (client.credentials) {
+    await saveCredentials(client);
+  }
+  return client;
+}
+
+export default async function getGmail(options) {
+  try {
+    const auth = await authorize();
+    const messages = await runPipeline(auth, options);
+    return messages;
+  } catch(e) {
+    console.error(e);
+    return[];
+  }
+}
@@ -0,0 +1,202 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { parse } from 'parse5';
+import { writeJsonAtomic } from './ledger.js';
+
+// 팀이 관리하는 용어집. 소스 설정의 glossary 객체보다 우선한다
+const GLOSSARY_PATH = path.join(process.cwd(), 'glossary.json');
+// 최근 용어 위반 기록 (오래된 것부터 버림)
+const VIOLATIONS_PATH = path.join(process.cwd(), 'data', 'glossary-violations.json');
+const MAX_VIOLATIONS = 500;
+
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'code']);
+
+export class GlossaryError extends Error {}
+
+/**
+ * Normalizes one glossary term. `doNotTranslate` terms must be kept exactly
+ * as written, so their target is the source term itself. `sources` limits a
+ * term to some source ids (empty = every source).
+ */
+export function normalizeTerm({ source, target, notes = '', doNotTranslate = false, sources = [] }) {
+    if (typeof source !== 'string' || !source.trim()) throw new GlossaryError('glossary term needs a non-empty "source"');
+    const from = source.trim();
+    const to = doNotTranslate ? from : (typeof target === 'string' ? target.trim() : '');
+    if (!to) throw new GlossaryError(`glossary term "${from}" needs a "target" (or "doNotTranslate": true)`);
+    if (!Array.isArray(sources)) throw new GlossaryError(`glossary term "${from}": "sources" must be an array of source ids`);
+    return { source: from, target: to, notes: String(notes || ''), doNotTranslate: Boolean(doNotTranslate), sources };
+}
+
+// 소스 설정의 { "뉴닉": "Newneek" } 형식
+export function termsFromObject(glossary = {}) {
+    return Object.entries(glossary).map(([source, target]) => normalizeTerm({ source, target }));
+}
+
+/**
+ * Opens the glossary file (missing file = no terms). A malformed file
+ * throws so a typo can't silently drop every rule.
+ *
+ * @param {string} [filePath]
+ */
+export default async function openGlossary(filePath = GLOSSARY_PATH) {
+    let terms = [];
+    try {
+        const content = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        terms = (content.terms || []).map(normalizeTerm);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw new GlossaryError(`Cannot read glossary ${filePath}: ${e.message}`);
+    }
+
+    return {
+        path: filePath,
+        terms() {
+            return [...terms];
+        },
+        // 파일 용어 + 소스 설정 용어. 같은 원어는 파일 쪽이 이긴다
+        forSource(source) {
+            const fromFile = terms.filter(t => t.sources.length === 0 || t.sources.includes(source.id));
+            const inline = termsFromObject(source.glossary).filter(t => !fromFile.some(f => f.source === t.source));
+            return [...fromFile, ...inline];
+        },
+        // 같은 원어가 있으면 바꾼다
+        async upsert(term) {
+            const normalized = normalizeTerm(term);
+            const i = terms.findIndex(t => t.source === normalized.source);
+            if (i >= 0) terms[i] = normalized;
+            else terms.push(normalized);
+            await writeJsonAtomic(filePath, { version: 1, terms });
+            return { term: normalized, replaced: i >= 0 };
+        },
+        async remove(sourceTerm) {
+            const before = terms.length;
+            terms = terms.filter(t => t.source !== sourceTerm);
+            if (terms.length !== before) await writeJsonAtomic(filePath, { version: 1, terms });
+            return terms.length !== before;
+        },
+    };
+}
+
+// 프롬프트에 넣는 용어 규칙: 고정 번역, 번역 금지, 메모
+export function glossaryRules(terms, prefix = '') {
+    const fixed = terms.filter(t => !t.doNotTranslate).map(t => `"${t.source}" → "${t.target}"`);
+    const keep = terms.filter(t => t.doNotTranslate).map(t => `"${t.source}"`);
+    const notes = terms.filter(t => t.notes).map(t => `"${t.source}": ${t.notes}`);
+    return [
+        fixed.length ? `${prefix}Glossary (always use these translations): ${fixed.join(', ')}.` : '',
+        keep.length ? `${prefix}Do not translate, keep exactly as written: ${keep.join(', ')}.` : '',
+        notes.length ? `${prefix}Term notes: ${notes.join('; ')}.` : '',
+    ].filter(Boolean);
+}
+
+function containsTerm(text, term) {
+    return text.toLowerCase().includes(term.toLowerCase());
+}
+
+/**
+ * Checks a translation against the terms that occur in the source text.
+ * Violations: `untranslated` (source term left in a translated term's
+ * place), `missing` (required translation absent) and, for do-not-translate
+ * terms, `translated` (the term no longer appears verbatim).
+ *
+ * @return {Array<{ term: string, target: string, kind: string }>}
+ */
+export function checkGlossary(sourceText, outputText, terms) {
+    const violations = [];
+    for (const t of terms.filter(t => sourceText.includes(t.source))) {
+        if (t.doNotTranslate) {
+            if (!outputText.includes(t.source)) violations.push({ term: t.source, target: t.target, kind: 'translated' });
+            continue;
+        }
+        if (outputText.includes(t.source)) violations.push({ term: t.source, target: t.target, kind: 'untranslated' });
+        else if (!containsTerm(outputText, t.target)) violations.push({ term: t.source, target: t.target, kind: 'missing' });
+    }
+    return violations;
+}
+
+function escapeText(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function isSourceText(el) {
+    return (el.attrs || []).some(a => a.name === 'class' && a.value.split(/\s+/).includes('bi-source'));
+}
+
+/**
+ * Auto-fix for `untranslated` violations: replaces source terms left in the
+ * output's text nodes with their required translation. Text kept on purpose
+ * (bilingual `.bi-source` paragraphs, code, scripts) is not touched.
+ *
+ * @return {{ html: string, fixed: string[] }} the HTML and the terms replaced
+ */
+export function fixGlossaryHtml(html, terms) {
+    const replaceable = terms.filter(t => !t.doNotTranslate && html.includes(t.source))
+        .sort((a, b) => b.source.length - a.source.length);
+    if (!replaceable.length) return { html, fixed: [] };
+    const doc = parse(html, { sourceCodeLocationInfo: true });
+    const edits = [];
+    const fixed = new Set();
+
+    (function walk(node) {
+        for (const child of node.childNodes || []) {
+            if (child.nodeName === '#text') {
+                const loc = child.sourceCodeLocation;
+                let value = child.value;
+                for (const t of replaceable) {
+                    if (!value.includes(t.source)) continue;
+                    value = value.split(t.source).join(t.target);
+                    fixed.add(t.source);
+                }
+                if (loc && value !== child.value) edits.push({ start: loc.startOffset, end: loc.endOffset, text: escapeText(value) });
+                continue;
+            }
+            if (SKIP_TAGS.has(child.tagName) || isSourceText(child)) continue;
+            walk(child);
+        }
+    })(doc);
+
+    edits.sort((a, b) => b.start - a.start);
+    let out = html;
+    for (const e of edits) out = out.slice(0, e.start) + e.text + out.slice(e.end);
+    return { html: out, fixed: [...fixed] };
+}
+
+// 제목처럼 HTML 이 아닌 문자열용
+export function fixGlossaryText(text, terms) {
+    const fixed = [];
+    let out = text;
+    for (const t of terms.filter(t => !t.doNotTranslate).sort((a, b) => b.source.length - a.source.length)) {
+        if (!out.includes(t.source)) continue;
+        out = out.split(t.source).join(t.target);
+        fixed.push(t.source);
+    }
+    return { text: out, fixed };
+}
+
+/**
+ * Opens the violation log: the most recent glossary violations, newest
+ * last, each with the letter, source, term, kind and whether it was fixed.
+ *
+ * @param {string} [filePath]
+ */
+export async function openViolationLog(filePath = VIOLATIONS_PATH) {
+    let violations = [];
+    try {
+        violations = JSON.parse(await fs.readFile(filePath, 'utf-8')).violations || [];
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw new GlossaryError(`Cannot read glossary violations ${filePath}: ${e.message}`);
+    }
+    return {
+        path: filePath,
+        async add(entries) {
+            if (!entries.length) return;
+            const at = new Date().toISOString();
+            violations.push(...entries.map(e => ({ at, ...e })));
+            violations = violations.slice(-MAX_VIOLATIONS);
+            await writeJsonAtomic(filePath, { version: 1, violations });
+        },
+        recent(limit = 20) {
+            return violations.slice(-limit).reverse();
+        },
+    };
+}
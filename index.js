@@ -1,12 +1,569 @@
 import 'dotenv/config';
-import getGmail from './getGmail.js'
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import openArchive, { ArchiveError } from './archive.js';
+import startArchiveServer from './archiveServer.js';
+import openTranslationCache, { CacheError } from './cache.js';
+import loadConfig, { ConfigError, selectSources } from './config.js';
+import runDaemon, { checkDaemonStatus } from './daemon.js';
+import runDigest from './digest.js';
+import openGlossary, { GlossaryError, openViolationLog } from './glossary.js';
+import { authorize, TOKEN_PATH } from './getGmail.js';
+import runPipeline, { previewLetter } from './pipeline.js';
+import { harnessOptions, ReplayError } from './replay.js';
+import { LockError } from './lock.js';
+import { readRunHistory, ReportError, runTotals } from './report.js';
+import openSubscribers, { SubscriberError } from './subscribers.js';
+import openVocabBank, { VOCAB_KINDS, vocabToAnki, vocabToCsv } from './vocabBank.js';
 
-async function getMail() {
-    let msg = await getGmail();
-    console.log('🚨', msg);
+// 종료 코드: 하나라도 실패했으면 2, 실패 없이 건너뛴 것만 있으면 3
+const EXIT = { ok: 0, error: 1, failed: 2, skipped: 3 };
+
+const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  run                      Translate and send today's letters (default)
+  backfill --since DATE    Process older letters (DATE is YYYY-MM-DD, KST)
+           [--until DATE]  Last day to include (default: today)
+  preview <messageId>      Write the translated .html and the MIME .eml to disk
+           [--out DIR]     Output directory (default: ./out)
+  daemon                   Keep running: poll Gmail history for new letters
+           [--interval SEC] Seconds between polls (default: daemon.intervalSeconds)
+           [--once]        Poll once and exit
+  status                   Show the daemon status file (exit 2 if unhealthy)
+  stats                    Daily and monthly totals from the run history: letters,
+                           deliveries, retries, model tokens and estimated cost
+           [--days N]      Days to show (default: 14)
+           [--months N]    Months to show (default: 12)
+  digest                   Send the weekly review digest and quiz to the account
+                           owner only (not to the subscriber list)
+           [--since DATE]  First day (default: digest.days before --until)
+           [--until DATE]  Last day (default: today)
+           [--force]       Send again even if this range was already sent
+  auth [--force]           Run the Gmail OAuth flow and save token.json
+  sources                  List the configured newsletter sources
+  vocab [QUERY]            Search the vocabulary bank (word or definition)
+           [--kind KIND]   word or pattern
+           [--min-count N] Only entries seen at least N times
+           [--limit N]     Show at most N entries (default: 50)
+           [--export FMT]  Write csv (vocab.csv) or anki (vocab-anki.txt) to --out
+  glossary list            List glossary terms (--source: terms that apply to it)
+  glossary add TERM TRANSLATION
+           [--notes TEXT]  Usage note passed to the model
+           [--dnt]         Do not translate: keep TERM as written (no TRANSLATION)
+           [--source ID]   Only for these sources (default: all)
+  glossary remove TERM     Remove a term from the glossary file
+  glossary violations      Show recent glossary violations
+           [--limit N]     Show at most N (default: 20)
+  subscribers list         List who receives the translated letters
+  subscribers add EMAIL    Add or update a subscriber
+           [--level LEVEL] beginner, intermediate (default) or advanced
+           [--mode MODE]   Their output mode (default: the source's mode)
+           [--name NAME]   Display name
+           [--source ID]   Only these sources (default: all)
+  subscribers remove EMAIL Remove a subscriber
+  subscribers opt-out EMAIL / opt-in EMAIL
+                           Stop or resume sending to a subscriber
+  archive [QUERY]          Search archived letters (English or Korean)
+           [--limit N]     Show at most N letters (default: 50)
+  serve                    Browse the archive and vocabulary at http://127.0.0.1:PORT
+           [--port N]      Port (default: archive.port, 8080)
+  cache stats              Show translation cache size and reuse per kind
+  cache clear              Empty the translation cache
+           [--kind KIND]   Only entries of this kind (e.g. segment, html, notes)
+  cache prune              Drop expired entries and shrink to cache.maxSizeMB
+
+Options:
+  --config FILE            Config file (default: ./translator.config.json)
+  --source ID[,ID...]      Only these sources (preview: the source to use, vocab/archive: filter,
+                           glossary: the sources a term applies to)
+  --dry-run                Do everything except sendMail (run, backfill, daemon, digest;
+                           digest writes the mail to --out instead)
+  --html-mode MODE         e2e or dom (default: source htmlMode, $TRANSLATOR_HTML_MODE or e2e)
+  --mode MODE              plain, html, teaching or bilingual for this run (default: source mode)
+  --layout LAYOUT          Bilingual layout, table or interleaved (default: source bilingual.layout)
+  --level LEVEL            Learning level for preview (default: intermediate)
+  --record DIR             run/backfill: save fetched messages and model responses as
+                           fixtures in DIR (always a dry run)
+  --replay DIR             run/backfill: use the fixtures in DIR instead of Gmail and the
+                           model, write outgoing mail to --out as .eml (no OAuth needed)
+  -h, --help               Show this help
+
+Exit codes: 0 ok, 1 error, 2 some letters failed, 3 some letters skipped`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+    config: { type: 'string' },
+    source: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    'html-mode': { type: 'string' },
+    mode: { type: 'string' },
+    layout: { type: 'string' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    out: { type: 'string', default: 'out' },
+    force: { type: 'boolean', default: false },
+    kind: { type: 'string' },
+    'min-count': { type: 'string' },
+    limit: { type: 'string' },
+    export: { type: 'string' },
+    interval: { type: 'string' },
+    days: { type: 'string' },
+    months: { type: 'string' },
+    port: { type: 'string' },
+    record: { type: 'string' },
+    replay: { type: 'string' },
+    once: { type: 'boolean', default: false },
+    notes: { type: 'string' },
+    level: { type: 'string' },
+    name: { type: 'string' },
+    dnt: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+function exitCodeFor(results) {
+    if (results.some(r => r.status === 'failed')) return EXIT.failed;
+    if (results.some(r => r.status === 'skipped')) return EXIT.skipped;
+    return EXIT.ok;
+}
+
+function printResults(results) {
+    for (const r of results) {
+        console.log(`[translator] ${r.status.padEnd(7)} ${r.id} ${r.subject || ''}${r.reason ? ` (${r.reason})` : ''}`);
+    }
+}
+
+function positiveInt(values, name, fallback) {
+    if (values[name] === undefined) return fallback;
+    const n = Number(values[name]);
+    if (!Number.isInteger(n) || n < 1) throw new UsageError(`--${name} must be a positive integer`);
+    return n;
+}
+
+const VOCAB_EXPORTS = {
+    csv: { file: 'vocab.csv', render: vocabToCsv },
+    anki: { file: 'vocab-anki.txt', render: vocabToAnki },
+};
+
+function sourceIds(values) {
+    return values.source ? values.source.split(',').map(s => s.trim()).filter(Boolean) : [];
 }
 
-// 설명: 키 주입이 되었는지 런타임에서 바로 체크 다나까
-console.log('gemini key?', !!process.env.GEMINI_API_KEY);
+async function runLetters(values, range = {}) {
+    if (values.record && values.replay) throw new UsageError('--record and --replay cannot be combined');
+    const config = await loadConfig(values.config);
+    // 재생은 Gmail 에 접속하지 않으므로 OAuth 도 필요 없다
+    const auth = values.replay ? null : await authorize();
+    const harness = values.record || values.replay
+        ? await harnessOptions({ config, auth, record: values.record, replay: values.replay, outDir: values.out })
+        : null;
+    const results = await runPipeline(auth, {
+        config,
+        sources: sourceIds(values),
+        dryRun: values['dry-run'],
+        htmlMode: values['html-mode'],
+        mode: values.mode,
+        layout: values.layout,
+        ...range,
+        // 녹화·재생용 클라이언트와 임시 원장 (녹화는 항상 dry-run)
+        ...harness?.options,
+    });
+    if (values.record) {
+        await harness.fixtures.save();
+        console.log(`[translator] Recorded fixtures in ${values.record}`);
+    }
+    printResults(results);
+    return exitCodeFor(results);
+}
+
+function printTerm(t) {
+    const arrow = t.doNotTranslate ? '(do not translate)' : `→ ${t.target}`;
+    const scope = t.sources.length ? ` [${t.sources.join(', ')}]` : '';
+    console.log(`  ${t.source} ${arrow}${scope}${t.notes ? ` — ${t.notes}` : ''}`);
+}
+
+// glossary 하위 명령
+const GLOSSARY_COMMANDS = {
+    async list(values, glossary, args, config) {
+        const [sourceId] = sourceIds(values);
+        const terms = sourceId ? glossary.forSource(selectSources(config, [sourceId])[0]) : glossary.terms();
+        console.log(`[translator] ${terms.length} terms${sourceId ? ` for ${sourceId}` : ''} in ${glossary.path}`);
+        terms.forEach(printTerm);
+        return EXIT.ok;
+    },
+
+    async add(values, glossary, [term, target]) {
+        if (!term || (!target && !values.dnt)) throw new UsageError('glossary add needs TERM and TRANSLATION (or --dnt)');
+        const { term: saved, replaced } = await glossary.upsert({
+            source: term,
+            target,
+            notes: values.notes,
+            doNotTranslate: values.dnt,
+            sources: sourceIds(values),
+        });
+        console.log(`[translator] ${replaced ? 'Updated' : 'Added'} glossary term in ${glossary.path}`);
+        printTerm(saved);
+        return EXIT.ok;
+    },
+
+    async remove(values, glossary, [term]) {
+        if (!term) throw new UsageError('glossary remove needs TERM');
+        if (!(await glossary.remove(term))) {
+            console.error(`[translator] "${term}" is not in ${glossary.path}`);
+            return EXIT.failed;
+        }
+        console.log(`[translator] Removed "${term}" from ${glossary.path}`);
+        return EXIT.ok;
+    },
+
+    async violations(values) {
+        const log = await openViolationLog();
+        const recent = log.recent(positiveInt(values, 'limit', 20));
+        console.log(`[translator] ${recent.length} recent glossary violations in ${log.path}`);
+        for (const v of recent) {
+            console.log(`  ${v.at} ${v.source} ${v.letterId} ${v.where}: "${v.term}" ${v.kind}${v.fixed ? ' (fixed)' : ''}`);
+        }
+        return EXIT.ok;
+    },
+};
+
+function printSubscriber(s) {
+    const mode = s.mode || '(source mode)';
+    const scope = s.sources.length ? ` [${s.sources.join(', ')}]` : '';
+    console.log(`  ${s.email}${s.name ? ` (${s.name})` : ''}: ${s.level}, ${mode}${scope}${s.optOut ? ', opted out' : ''}`);
+}
+
+async function setOptOut(subscribers, email, optOut) {
+    if (!email) throw new UsageError(`subscribers ${optOut ? 'opt-out' : 'opt-in'} needs EMAIL`);
+    const subscriber = await subscribers.setOptOut(email, optOut);
+    if (!subscriber) {
+        console.error(`[translator] ${email} is not in ${subscribers.path}`);
+        return EXIT.failed;
+    }
+    console.log(`[translator] ${subscriber.email} ${optOut ? 'opted out' : 'opted back in'}`);
+    return EXIT.ok;
+}
+
+// subscribers 하위 명령
+const SUBSCRIBER_COMMANDS = {
+    async list(values, subscribers, args, config) {
+        const all = subscribers.all();
+        console.log(`[translator] ${all.length} subscribers in ${subscribers.path}, delivery: ${config.delivery.method}`);
+        if (all.length === 0) console.log('  (none: letters go to the account owner only)');
+        all.forEach(printSubscriber);
+        return EXIT.ok;
+    },
+
+    async add(values, subscribers, [email], config) {
+        if (!email) throw new UsageError('subscribers add needs EMAIL');
+        sourceIds(values).forEach(id => selectSources(config, [id]));
+        const prev = subscribers.get(email);
+        const { subscriber, replaced } = await subscribers.upsert({
+            ...prev,
+            email,
+            ...(values.name !== undefined && { name: values.name }),
+            ...(values.level !== undefined && { level: values.level }),
+            ...(values.mode !== undefined && { mode: values.mode }),
+            ...(values.source !== undefined && { sources: sourceIds(values) }),
+        });
+        console.log(`[translator] ${replaced ? 'Updated' : 'Added'} subscriber in ${subscribers.path}`);
+        printSubscriber(subscriber);
+        return EXIT.ok;
+    },
+
+    async remove(values, subscribers, [email]) {
+        if (!email) throw new UsageError('subscribers remove needs EMAIL');
+        if (!(await subscribers.remove(email))) {
+            console.error(`[translator] ${email} is not in ${subscribers.path}`);
+            return EXIT.failed;
+        }
+        console.log(`[translator] Removed ${email} from ${subscribers.path}`);
+        return EXIT.ok;
+    },
+
+    'opt-out': (values, subscribers, [email]) => setOptOut(subscribers, email, true),
+    'opt-in': (values, subscribers, [email]) => setOptOut(subscribers, email, false),
+};
+
+// stats 한 줄: 기간, 실행 수, 편지 수, 재시도, 모델 사용량
+function printTotals(t) {
+    const letters = `${t.sent} sent, ${t.skipped} skipped, ${t.failed} failed`;
+    const tokens = `${t.inputTokens.toLocaleString('en-US')} in / ${t.outputTokens.toLocaleString('en-US')} out`;
+    console.log(`  ${t.period.padEnd(10)} ${String(t.runs).padStart(4)} runs  ${letters.padEnd(32)} ${String(t.deliveries).padStart(4)} deliveries`
+        + `  ${String(t.retries).padStart(3)} retries  ${String(t.calls).padStart(5)} calls  ${tokens}  $${t.costUsd.toFixed(4)}`);
+}
+
+function formatBytes(bytes) {
+    return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// cache 하위 명령
+const CACHE_COMMANDS = {
+    async stats(values, cache) {
+        const s = cache.summary();
+        console.log(`[translator] ${s.entries} entries in ${cache.path}, ${formatBytes(s.bytes)} of ${formatBytes(s.maxBytes)}, kept ${s.ttlDays} days`);
+        if (s.oldest) console.log(`  oldest entry ${s.oldest}`);
+        for (const [kind, k] of Object.entries(s.kinds).sort(([a], [b]) => a.localeCompare(b))) {
+            console.log(`  ${kind.padEnd(14)} ${String(k.entries).padStart(6)} entries ${formatBytes(k.bytes).padStart(9)} ${String(k.hits).padStart(6)} reused`);
+        }
+        return EXIT.ok;
+    },
+
+    async clear(values, cache) {
+        const removed = await cache.clear(values.kind);
+        console.log(`[translator] Removed ${removed} ${values.kind ? `"${values.kind}" ` : ''}entries from ${cache.path}`);
+        return EXIT.ok;
+    },
+
+    async prune(values, cache) {
+        const removed = await cache.prune();
+        console.log(`[translator] Pruned ${removed} entries from ${cache.path}`, { expired: cache.stats.expired, evicted: cache.stats.evicted });
+        return EXIT.ok;
+    },
+};
+
+const COMMANDS = {
+    run: values => runLetters(values),
+
+    backfill: values => {
+        if (!values.since) throw new UsageError('backfill needs --since YYYY-MM-DD');
+        return runLetters(values, { since: values.since, until: values.until });
+    },
+
+    async preview(values, [messageId]) {
+        if (!messageId) throw new UsageError('preview needs a message ID');
+        const [source] = sourceIds(values);
+        if (sourceIds(values).length > 1) throw new UsageError('preview takes a single --source');
+        const config = await loadConfig(values.config);
+        const auth = await authorize();
+        const { letter, mime } = await previewLetter(auth, messageId, {
+            config,
+            source,
+            htmlMode: values['html-mode'],
+            mode: values.mode,
+            layout: values.layout,
+            level: values.level,
+        });
+        if (!letter.ok) {
+            console.error(`[translator] Preview failed for ${messageId}: ${letter.failReason}`);
+            return EXIT.failed;
+        }
+        await fs.mkdir(values.out, { recursive: true });
+        const htmlPath = path.join(values.out, `${messageId}.html`);
+        const emlPath = path.join(values.out, `${messageId}.eml`);
+        await fs.writeFile(htmlPath, letter.bodyHtml);
+        await fs.writeFile(emlPath, mime);
+        console.log('[translator] Preview written', { html: htmlPath, eml: emlPath });
+        return EXIT.ok;
+    },
+
+    async daemon(values) {
+        const config = await loadConfig(values.config);
+        const auth = await authorize();
+        await runDaemon(auth, {
+            config,
+            sources: sourceIds(values),
+            dryRun: values['dry-run'],
+            htmlMode: values['html-mode'],
+            mode: values.mode,
+            layout: values.layout,
+            intervalSeconds: positiveInt(values, 'interval'),
+            once: values.once,
+        });
+        return EXIT.ok;
+    },
+
+    async status(values) {
+        const config = await loadConfig(values.config);
+        const { status, healthy, problems } = await checkDaemonStatus(config);
+        if (status) {
+            console.log(`[translator] Daemon ${status.state} (pid ${status.pid}), ${status.polls} polls, last success ${status.lastSuccessAt || 'never'}`);
+            console.log('  totals', status.totals, 'historyId', status.historyId);
+        }
+        problems.forEach(p => console.log('  problem:', p));
+        console.log(`[translator] ${healthy ? 'healthy' : 'unhealthy'}`);
+        return healthy ? EXIT.ok : EXIT.failed;
+    },
+
+    async stats(values) {
+        const config = await loadConfig(values.config);
+        const { historyPath, timeZone } = config.report;
+        const runs = await readRunHistory(historyPath);
+        console.log(`[translator] ${runs.length} runs in ${historyPath}${runs.length ? ` since ${runs[0].startedAt}` : ''}`);
+        if (runs.length === 0) return EXIT.ok;
+        const days = positiveInt(values, 'days', 14);
+        const months = positiveInt(values, 'months', 12);
+        console.log(`Daily (${timeZone}, last ${days} days with runs):`);
+        runTotals(runs, { by: 'day', timeZone }).slice(0, days).forEach(printTotals);
+        console.log(`Monthly (last ${months}):`);
+        runTotals(runs, { by: 'month', timeZone }).slice(0, months).forEach(printTotals);
+        console.log('Costs are estimates from report.pricing; models without a price count as $0.');
+        return EXIT.ok;
+    },
+
+    async digest(values) {
+        const config = await loadConfig(values.config);
+        const auth = await authorize();
+        const result = await runDigest(auth, {
+            config,
+            since: values.since,
+            until: values.until,
+            dryRun: values['dry-run'],
+            force: values.force,
+        });
+        if (result.status === 'dry-run') {
+            await fs.mkdir(values.out, { recursive: true });
+            const htmlPath = path.join(values.out, `${result.id.replace(/[^\w.-]+/g, '_')}.html`);
+            await fs.writeFile(htmlPath, result.bodyHtml);
+            console.log('[translator] Digest written', { html: htmlPath });
+        }
+        printResults([result]);
+        return exitCodeFor([result]);
+    },
+
+    async auth(values) {
+        await authorize({ force: values.force });
+        console.log('[translator] Authorized, token saved to', TOKEN_PATH);
+        return EXIT.ok;
+    },
+
+    async sources(values) {
+        const config = await loadConfig(values.config);
+        console.log(`[translator] Sources from ${config.path || '(built-in defaults)'}`);
+        for (const s of config.sources) {
+            const window = s.window ? `${s.window.start}-${s.window.end} ${s.window.timeZone}` : 'any time';
+            console.log(`  ${s.id}: ${s.query} | ${s.mode} | ${s.sourceLang} → ${s.targetLang} | ${window} | "${s.subjectPrefix}"`);
+        }
+        return EXIT.ok;
+    },
+
+    async vocab(values, queryWords) {
+        if (values.kind && !VOCAB_KINDS.includes(values.kind)) throw new UsageError(`--kind must be one of ${VOCAB_KINDS.join(', ')}`);
+        if (values.export && !VOCAB_EXPORTS[values.export]) throw new UsageError(`--export must be one of ${Object.keys(VOCAB_EXPORTS).join(', ')}`);
+        const [source] = sourceIds(values);
+        if (sourceIds(values).length > 1) throw new UsageError('vocab takes a single --source');
+        const bank = await openVocabBank();
+        const entries = bank.entries({
+            kind: values.kind,
+            query: queryWords.join(' '),
+            source,
+            minCount: positiveInt(values, 'min-count', 1),
+        });
+
+        if (values.export) {
+            const { file, render } = VOCAB_EXPORTS[values.export];
+            await fs.mkdir(values.out, { recursive: true });
+            const outPath = path.join(values.out, file);
+            await fs.writeFile(outPath, render(entries));
+            console.log(`[translator] Exported ${entries.length} entries to ${outPath}`);
+            return EXIT.ok;
+        }
+
+        const limit = positiveInt(values, 'limit', 50);
+        console.log(`[translator] ${entries.length} entries in ${bank.path}${entries.length > limit ? ` (showing ${limit})` : ''}`);
+        for (const e of entries.slice(0, limit)) {
+            const ipa = e.ipa ? ` ${e.ipa}` : '';
+            const definition = e.definition ? ` — ${e.definition}` : '';
+            console.log(`  ${String(e.count).padStart(3)}× ${e.term}${ipa}${definition} (${e.kind}, last ${e.lastSeen})`);
+        }
+        return EXIT.ok;
+    },
+
+    async subscribers(values, [sub = 'list', ...args]) {
+        if (!SUBSCRIBER_COMMANDS[sub]) throw new UsageError(`Unknown subscribers command "${sub}" (expected ${Object.keys(SUBSCRIBER_COMMANDS).join(', ')})`);
+        const config = await loadConfig(values.config);
+        const subscribers = await openSubscribers(config.delivery.subscribersPath);
+        return SUBSCRIBER_COMMANDS[sub](values, subscribers, args, config);
+    },
+
+    async archive(values, queryWords) {
+        const [source] = sourceIds(values);
+        if (sourceIds(values).length > 1) throw new UsageError('archive takes a single --source');
+        const config = await loadConfig(values.config);
+        const archive = await openArchive(config.archive.dir);
+        const letters = archive.list({ query: queryWords.join(' '), source });
+        const limit = positiveInt(values, 'limit', 50);
+        console.log(`[translator] ${letters.length} letters in ${archive.dir}${letters.length > limit ? ` (showing ${limit})` : ''}`);
+        for (const l of letters.slice(0, limit)) {
+            console.log(`  ${(l.receivedAt || '').slice(0, 10)} ${l.id} ${l.source} ${l.status.padEnd(7)} ${l.sentSubject || l.subject}`);
+        }
+        return EXIT.ok;
+    },
+
+    async serve(values) {
+        const config = await loadConfig(values.config);
+        const port = positiveInt(values, 'port', config.archive.port);
+        await startArchiveServer({ archiveDir: config.archive.dir, port });
+        // 서버가 열려 있는 동안 프로세스가 살아 있다. Ctrl-C 로 끝낸다
+        console.log(`[translator] Archive viewer on http://127.0.0.1:${port}/ (${config.archive.dir})`);
+        return EXIT.ok;
+    },
+
+    async cache(values, [sub = 'stats']) {
+        if (!CACHE_COMMANDS[sub]) throw new UsageError(`Unknown cache command "${sub}" (expected ${Object.keys(CACHE_COMMANDS).join(', ')})`);
+        const config = await loadConfig(values.config);
+        const cache = await openTranslationCache(config.cache.path, config.cache);
+        return CACHE_COMMANDS[sub](values, cache);
+    },
+
+    async glossary(values, [sub = 'list', ...args]) {
+        if (!GLOSSARY_COMMANDS[sub]) throw new UsageError(`Unknown glossary command "${sub}" (expected ${Object.keys(GLOSSARY_COMMANDS).join(', ')})`);
+        const config = await loadConfig(values.config);
+        const glossary = await openGlossary(config.glossaryPath);
+        return GLOSSARY_COMMANDS[sub](values, glossary, args, config);
+    },
+};
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        return EXIT.error;
+    }
+    const { values, positionals } = parsed;
+    const [command = 'run', ...rest] = positionals;
+    if (values.help || command === 'help') {
+        console.log(USAGE);
+        return EXIT.ok;
+    }
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command "${command}"`);
+        console.error(USAGE);
+        return EXIT.error;
+    }
+    try {
+        return await COMMANDS[command](values, rest);
+    } catch (e) {
+        if (e instanceof UsageError) {
+            console.error(e.message);
+            console.error(USAGE);
+        } else if (e instanceof ConfigError) {
+            console.error('[translator] Config error:', e.message);
+        } else if (e instanceof GlossaryError) {
+            console.error('[translator] Glossary error:', e.message);
+        } else if (e instanceof SubscriberError) {
+            console.error('[translator] Subscriber error:', e.message);
+        } else if (e instanceof ArchiveError) {
+            console.error('[translator] Archive error:', e.message);
+        } else if (e instanceof ReplayError) {
+            console.error('[translator] Replay error:', e.message);
+        } else if (e instanceof CacheError) {
+            console.error('[translator] Cache error:', e.message);
+        } else if (e instanceof ReportError) {
+            console.error('[translator] Report error:', e.message);
+        } else if (e instanceof LockError) {
+            console.error('[translator] Lock error:', e.message);
+        } else {
+            console.error(e);
+        }
+        return EXIT.error;
+    }
+}
 
-getMail();
\ No newline at end of file
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,67 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+// 처리한 Gmail 메시지 ID와 결과를 기록하는 파일. 재실행 시 중복 발송 방지용
+const LEDGER_PATH = path.join(process.cwd(), 'data', 'ledger.json');
+
+// sent/skipped 는 끝난 것으로 보고, failed 는 다음 실행에서 다시 시도한다
+const DONE_STATUSES = new Set(['sent', 'skipped']);
+
+// 임시 파일에 쓴 뒤 rename 해서 중간에 죽어도 반쯤 쓰인 파일이 남지 않게 함
+export async function writeJsonAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, filePath);
+}
+
+/**
+ * Opens the processed-message ledger, creating an empty one if missing.
+ * A corrupt ledger throws instead of being reset, so a bad file can never
+ * turn into a mass re-send.
+ *
+ * @param {string} [filePath]
+ */
+export default async function openLedger(filePath = LEDGER_PATH) {
+    let messages = {};
+    try {
+        const content = await fs.readFile(filePath, 'utf-8');
+        messages = JSON.parse(content).messages || {};
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw new Error(`Cannot read ledger ${filePath}: ${e.message}`);
+        }
+    }
+
+    async function save() {
+        await writeJsonAtomic(filePath, { version: 1, messages });
+    }
+
+    return {
+        path: filePath,
+        get(id) {
+            return messages[id] || null;
+        },
+        isDone(id) {
+            return DONE_STATUSES.has(messages[id]?.status);
+        },
+        // 상태가 바뀔 때마다 바로 저장해서 중간에 죽어도 기록이 남도록 함
+        async record(id, status, { reason = '', ...info } = {}) {
+            const prev = messages[id] || {};
+            messages[id] = {
+                ...prev,
+                ...info,
+                status,
+                reason,
+                attempts: (prev.attempts || 0) + (status === 'skipped' ? 0 : 1),
+                updatedAt: new Date().toISOString(),
+            };
+            await save();
+            return messages[id];
+        },
+        entries() {
+            return Object.entries(messages).map(([id, entry]) => ({ id, ...entry }));
+        },
+    };
+}
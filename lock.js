@@ -0,0 +1,98 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+// run, backfill, digest 와 데몬 폴링이 data/ 아래 파일(원장 등)을 동시에 고쳐 쓰지 않게 하는 잠금 파일
+export const LOCK_PATH = path.join(process.cwd(), 'data', 'translator.lock');
+
+// 잠금을 기다리는 최대 시간과 다시 확인하는 간격
+const LOCK_WAIT_MS = 10 * 60 * 1000;
+const LOCK_RETRY_MS = 1000;
+// 만들자마자 죽어서 pid 를 못 쓴 잠금 파일은 이만큼 지나면 버려진 것으로 본다
+const EMPTY_LOCK_MS = 60 * 1000;
+
+export class LockError extends Error {}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        // EPERM: 다른 사용자의 프로세스지만 살아 있다
+        return e.code === 'EPERM';
+    }
+}
+
+// 잠금을 쥔 프로세스 { pid, command, since }. 아직 안 쓰였거나 깨진 파일은 null
+async function readHolder(lockPath) {
+    try {
+        const holder = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+        return Number.isInteger(holder?.pid) ? holder : null;
+    } catch {
+        return null;
+    }
+}
+
+async function isStale(lockPath, holder) {
+    if (holder) return !isAlive(holder.pid);
+    const stat = await fs.stat(lockPath).catch(() => null);
+    return Boolean(stat) && Date.now() - stat.mtimeMs > EMPTY_LOCK_MS;
+}
+
+/**
+ * Takes the data lock: creates `lockPath` exclusively (O_EXCL) and writes
+ * this process's pid into it. A lock left behind by a process that is gone
+ * is removed. While another live process holds it, waits up to `waitMs`
+ * (10 minutes) and then throws `LockError`; `signal` stops the wait.
+ *
+ * @param {string} [lockPath]
+ * @param {{ command?: string, waitMs?: number, signal?: AbortSignal }} [options]
+ * @return {Promise<() => Promise<void>>} releases the lock
+ */
+export async function acquireLock(lockPath = LOCK_PATH, { command = '', waitMs = LOCK_WAIT_MS, signal } = {}) {
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+    const deadline = Date.now() + waitMs;
+    let waiting = false;
+    for (;;) {
+        try {
+            const handle = await fs.open(lockPath, 'wx');
+            try {
+                await handle.writeFile(JSON.stringify({ pid: process.pid, command, since: new Date().toISOString() }));
+            } finally {
+                await handle.close();
+            }
+            return () => fs.rm(lockPath, { force: true });
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw new LockError(`Cannot create lock ${lockPath}: ${e.message}`);
+        }
+        const holder = await readHolder(lockPath);
+        if (await isStale(lockPath, holder)) {
+            console.warn('[translator] Removing stale lock', lockPath, holder ? `(pid ${holder.pid})` : '(empty)');
+            await fs.rm(lockPath, { force: true });
+            continue;
+        }
+        const by = holder ? `${holder.command || 'a command'} (pid ${holder.pid}) since ${holder.since}` : 'another process';
+        if (Date.now() >= deadline) throw new LockError(`${lockPath} is held by ${by}; try again when it has finished`);
+        if (!waiting) console.log(`[translator] Waiting for ${lockPath}, held by ${by}`);
+        waiting = true;
+        await sleep(LOCK_RETRY_MS, undefined, { signal });
+    }
+}
+
+/**
+ * Runs `fn` while holding the data lock (see `acquireLock`) and returns its
+ * result.
+ *
+ * @param {string} lockPath
+ * @param {string} command shown to processes waiting for the lock
+ * @param {() => Promise<any>} fn
+ */
+export async function withLock(lockPath, command, fn) {
+    const release = await acquireLock(lockPath, { command });
+    try {
+        return await fn();
+    } finally {
+        await release();
+    }
+}
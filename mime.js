@@ -0,0 +1,224 @@
+import crypto from 'node:crypto';
+import { parse } from 'parse5';
+
+const CRLF = '\r\n';
+// 헤더 한 줄은 78자 이하로 접는다 (RFC 5322). 인코딩된 단어 하나는 75자 이하 (RFC 2047)
+const MAX_LINE = 78;
+// UTF-8 39바이트 → base64 52자 → "=?UTF-8?B?...?=" 64자. "Subject: " 를 붙여도 78자 안
+const WORD_BYTES = 39;
+
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table', 'tr', 'blockquote', 'pre', 'hr', 'figure',
+]);
+const SKIP_TAGS = new Set(['head', 'style', 'script', 'noscript', 'template', 'title']);
+
+function isPlainAscii(str) {
+    return /^[\x20-\x7e]*$/.test(str);
+}
+
+// 글자 중간에서 끊기지 않도록 코드 포인트 단위로 모아 인코딩된 단어 여러 개로
+function encodeWords(text) {
+    const words = [];
+    let chunk = '';
+    for (const ch of text) {
+        if (Buffer.byteLength(chunk + ch, 'utf-8') > WORD_BYTES) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += ch;
+    }
+    if (chunk) words.push(chunk);
+    return words.map(w => `=?UTF-8?B?${Buffer.from(w, 'utf-8').toString('base64')}?=`);
+}
+
+// 주소 목록 헤더. 인코딩된 단어는 표시 이름에만 쓸 수 있다 (RFC 2047 5절)
+const ADDRESS_HEADERS = new Set(['from', 'to', 'cc', 'bcc', 'reply-to']);
+
+// "이름" <주소>, 이름 <주소>, 주소 를 쉼표로 나눠(따옴표 안 쉼표는 그대로) 한국어 표시 이름만 인코딩한다
+function addressTokens(value) {
+    const addresses = value.match(/(?:"[^"]*"|[^,])+/g) || [];
+    return addresses.flatMap((address, i) => {
+        const comma = i < addresses.length - 1 ? ',' : '';
+        const match = address.trim().match(/^(.*?)\s*(<[^>]*>)$/);
+        if (!match || isPlainAscii(match[1])) return `${address.trim()}${comma}`.split(' ');
+        return [...encodeWords(match[1].replace(/^"(.*)"$/, '$1')), `${match[2]}${comma}`];
+    });
+}
+
+/**
+ * One header field, folded to 78-character lines. Values with non-ASCII
+ * characters become a run of RFC 2047 encoded-words (each at most 75
+ * characters, never splitting a character), one per folded line. In
+ * address headers (From, To, Cc, Bcc, Reply-To) only the display names are
+ * encoded; the `<addr@host>` parts stay as they are.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @return {string}
+ */
+export function foldHeader(name, value) {
+    const tokens = isPlainAscii(value) ? value.split(' ')
+        : ADDRESS_HEADERS.has(name.toLowerCase()) ? addressTokens(value)
+            : encodeWords(value);
+    const lines = [];
+    let line = `${name}:`;
+    for (const token of tokens) {
+        // 접은 줄 앞의 공백이 원래 구분자 역할을 한다 (인코딩된 단어 사이 공백은 디코딩 때 무시됨)
+        if (line.length + 1 + token.length > MAX_LINE && line !== `${name}:`) {
+            lines.push(line);
+            line = '';
+        }
+        line += ` ${token}`;
+    }
+    lines.push(line);
+    return lines.join(CRLF);
+}
+
+// RFC 5322 날짜: "Mon, 19 Oct 2026 08:00:00 +0000"
+export function formatDate(date = new Date()) {
+    return date.toUTCString().replace(/GMT$/, '+0000');
+}
+
+// <시각.난수@보내는 도메인>
+export function newMessageId(from = '') {
+    const domain = from.match(/@([^\s>]+)/)?.[1] || 'localhost';
+    return `<${Date.now().toString(36)}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+}
+
+// base64 본문은 76자 줄로 (RFC 2045)
+function base64Lines(content) {
+    const b64 = Buffer.from(content).toString('base64');
+    return b64.match(/.{1,76}/g)?.join(CRLF) || '';
+}
+
+// 경계 문자열에 "=_" 를 넣어 base64 본문과 절대 겹치지 않게 한다
+function newBoundary() {
+    return `=_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function filenameParam(filename) {
+    if (isPlainAscii(filename) && !/["\\]/.test(filename)) return `filename="${filename}"`;
+    return `filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function textPart(contentType, content) {
+    return [
+        `Content-Type: ${contentType}; charset="UTF-8"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(content || ''),
+    ].join(CRLF);
+}
+
+// SMTP 한 줄 최대 길이 (CRLF 제외, RFC 5322)
+const MAX_SMTP_LINE = 998;
+
+// message/rfc822 는 base64 로 감쌀 수 없다 (RFC 2046). 그대로 7bit 로 넣을 수 있는 원문(ASCII, 998자 이하 줄)만
+// message/rfc822 로 넣고, 아니면(EUC-KR 같은 8bit 본문, 긴 줄) 바이트를 그대로 base64 로 감싼 application/octet-stream 으로
+function attachmentPart({ filename, contentType, content }) {
+    const disposition = `Content-Disposition: attachment; ${filenameParam(filename)}`;
+    if (contentType === 'message/rfc822') {
+        const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+        const raw = bytes.toString('latin1');
+        if (/^[\x00-\x7f]*$/.test(raw) && raw.split(/\r?\n/).every(line => line.length <= MAX_SMTP_LINE)) {
+            return [
+                'Content-Type: message/rfc822',
+                'Content-Transfer-Encoding: 7bit',
+                disposition,
+                '',
+                raw.replace(/\r?\n/g, CRLF),
+            ].join(CRLF);
+        }
+        return attachmentPart({ filename, contentType: 'application/octet-stream', content: bytes });
+    }
+    return [
+        `Content-Type: ${contentType}`,
+        'Content-Transfer-Encoding: base64',
+        disposition,
+        '',
+        base64Lines(content),
+    ].join(CRLF);
+}
+
+function multipart(subtype, parts) {
+    const boundary = newBoundary();
+    return [
+        `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+        '',
+        ...parts.flatMap(part => [`--${boundary}`, part]),
+        `--${boundary}--`,
+        '',
+    ].join(CRLF);
+}
+
+/**
+ * Builds an RFC 5322 message: text/plain (plus text/html as
+ * multipart/alternative when given), wrapped in multipart/mixed when there
+ * are attachments. Boundaries are random; `Date` and `Message-ID` are filled
+ * in when missing. `inReplyTo` and `references` (Message-IDs of the original)
+ * make the mail a reply in the original's thread. `bcc` recipients go in a
+ * Bcc header, which Gmail removes before delivery.
+ *
+ * @param {{ to: string, from: string, bcc?: string[], subject: string, bodyText?: string, bodyHtml?: string, date?: Date,
+ *   messageId?: string, inReplyTo?: string, references?: string[],
+ *   attachments?: Array<{ filename: string, contentType: string, content: string|Buffer }> }} mail
+ * @return {string}
+ */
+export default function buildMimeMessage({ to, from, bcc = [], subject, bodyText, bodyHtml, date = new Date(), messageId, inReplyTo, references = [], attachments = [] }) {
+    const headers = [
+        'MIME-Version: 1.0',
+        `Date: ${formatDate(date)}`,
+        `Message-ID: ${messageId || newMessageId(from)}`,
+        foldHeader('From', from),
+        foldHeader('To', to),
+        ...(bcc.length ? [foldHeader('Bcc', bcc.join(', '))] : []),
+        foldHeader('Subject', subject || ''),
+    ];
+    if (inReplyTo) headers.push(`In-Reply-To: ${inReplyTo}`);
+    if (references.length) headers.push(foldHeader('References', references.join(' ')));
+
+    let body = bodyHtml
+        ? multipart('alternative', [textPart('text/plain', bodyText), textPart('text/html', bodyHtml)])
+        : textPart('text/plain', bodyText) + CRLF;
+    if (attachments.length) body = multipart('mixed', [body, ...attachments.map(attachmentPart)]);
+    return [...headers, body].join(CRLF);
+}
+
+/**
+ * Plain-text alternative of an HTML body: block elements become paragraphs,
+ * `<br>` a line break and list items "- " lines, so the text part keeps the
+ * letter's layout instead of one long line.
+ *
+ * @param {string} html
+ * @return {string}
+ */
+export function htmlToText(html) {
+    if (!html) return '';
+    const out = [];
+    (function walk(node, pre) {
+        for (const child of node.childNodes || []) {
+            if (child.nodeName === '#text') {
+                out.push(pre ? child.value : child.value.replace(/\s+/g, ' '));
+                continue;
+            }
+            const tag = child.tagName;
+            if (!tag || SKIP_TAGS.has(tag)) continue;
+            if (tag === 'br') {
+                out.push('\n');
+                continue;
+            }
+            if (tag === 'li') out.push('\n- ');
+            else if (BLOCK_TAGS.has(tag)) out.push('\n\n');
+            walk(child, pre || tag === 'pre');
+            if (BLOCK_TAGS.has(tag)) out.push('\n\n');
+            else if (tag === 'td' || tag === 'th') out.push(' ');
+        }
+    })(parse(html), false);
+    return out.join('')
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
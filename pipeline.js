@@ -0,0 +1,922 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { google } from 'googleapis';
+import openArchive from './archive.js';
+import { bilingualText, renderBilingualHtml, textArticles } from './bilingual.js';
+import openTranslationCache from './cache.js';
+import loadConfig, { ConfigError, LEARNING_LEVELS, selectSources, withRunOverrides } from './config.js';
+import { collectParagraphs } from './domTranslate.js';
+import openGlossary, { checkGlossary, fixGlossaryHtml, fixGlossaryText, openViolationLog } from './glossary.js';
+import openLedger from './ledger.js';
+import { LOCK_PATH, withLock } from './lock.js';
+import buildMimeMessage, { htmlToText } from './mime.js';
+import createProvider from './providers.js';
+import checkQuality, { summarizeQuality, translatedText } from './qualityCheck.js';
+import { buildRunReport, countsSince, createUsageMeter, meterProvider, renderAlertText, saveRunReport } from './report.js';
+import { collectSourceUrls, sanitizeHtml } from './sanitizeHtml.js';
+import { createLimiter, limitProvider } from './throttle.js';
+import createTranslator from './translate.js';
+import openSubscribers, { groupVariants } from './subscribers.js';
+import openVocabBank, { letterEntries, vocabToCsv } from './vocabBank.js';
+import { renderTeachingHtml } from './teaching.js';
+import { escapeHtml, koreanRatio, stripHtml } from './textUtils.js';
+
+function formatDuration(ms) {
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor((ms % 3600000) / 60000);
+    const s = Math.floor((ms % 60000) / 1000);
+    const mm = ms % 1000;
+    return `${h}h ${m}m ${s}s ${mm}ms`;
+  }
+
+function decodeBase64Url(data){
+    if (!data) return '';
+    const b64 = data.replace(/-/g, '+').replace(/_/g, '/');
+    return Buffer.from(b64, 'base64').toString('utf-8');
+}
+
+function encodeBase64Url(str) {
+    return Buffer.from(str, 'utf-8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+function minutesInZone(ms, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: 'numeric', hourCycle: 'h23', timeZone }).formatToParts(new Date(ms));
+    const get = type => Number(parts.find(p => p.type === type)?.value || 0);
+    return get('hour') * 60 + get('minute');
+}
+
+// 소스 설정의 도착 시간대 (예: 05:00 ~ 07:59 Asia/Seoul). 자정을 넘기는 구간도 허용. window 가 없으면 항상 통과
+export function isInWindow(ms, window) {
+    if (!window) return true;
+    const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+    const m = minutesInZone(ms, window.timeZone);
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    return start <= end ? (m >= start && m <= end) : (m >= start || m <= end);
+}
+
+export function extractBodies(payload) {
+    let textPlain = '';
+    let textHtml = '';
+
+    function walk(part) {
+        if (!part) return;
+        const { mimeType, body, parts } = part;
+        if (mimeType === 'text/plain' && body?.data) textPlain += decodeBase64Url(body.data);
+        else if (mimeType === 'text/html' && body?.data) textHtml += decodeBase64Url(body.data);
+        (parts || []).forEach(walk);
+    }
+    if (payload?.body?.data && (!payload.parts || payload.parts.length === 0)) {
+        const data = decodeBase64Url(payload.body.data);
+        if ((payload.mimeType || '').toLowerCase().includes('text/html')) {
+            textHtml = data;
+        } else {
+            textPlain = data;
+        }
+    } else {
+        walk(payload);
+    }
+    return { textPlain, textHtml };
+}
+
+/**
+ * Sends a mail built by mime.js. `threadId` puts it in an existing Gmail
+ * thread (together with the mail's In-Reply-To/References headers).
+ */
+export async function sendMail(gmail, { threadId, ...mail }) {
+    const raw = encodeBase64Url(buildMimeMessage(mail));
+    await gmail.users.messages.send({ userId: 'me', requestBody: threadId ? { raw, threadId } : { raw } });
+}
+
+// HTML 메일 번역 방식: e2e(문서 통째로 모델에) / dom(텍스트 노드만 번역해 원본에 다시 끼움)
+// run 은 { html, teaching } 을 돌려준다. 학습 블록은 두 방식 모두 스키마로 받은 데이터를 템플릿으로 그린다
+const HTML_MODES = {
+    e2e: { label: 'E2E HTML', run: (translator, html, options) => translator.translateHtmlEndToEnd(html, options) },
+    dom: { label: 'DOM HTML', run: (translator, html, options) => translator.translateHtmlDom(html, options) },
+};
+
+// 우선순위: CLI --html-mode > 소스 설정 htmlMode > TRANSLATOR_HTML_MODE > e2e
+function resolveHtmlMode(source, override) {
+    const name = override || source.htmlMode || process.env.TRANSLATOR_HTML_MODE || 'e2e';
+    const html = HTML_MODES[name];
+    if (!html) throw new Error(`Unknown HTML mode "${name}" (expected one of: ${Object.keys(HTML_MODES).join(', ')})`);
+    return { name, ...html };
+}
+
+// 소스 쿼리 + 최근 기간(newerThan). since/until(YYYY-MM-DD, KST, until 포함)이 있으면 그 기간으로 조회
+export function buildQuery(source, { since, until } = {}) {
+    if (!since && !until) {
+        return source.newerThan ? `${source.query} newer_than:${source.newerThan}` : source.query;
+    }
+    const toEpoch = (day, addDays = 0) => {
+        const ms = Date.parse(`${day}T00:00:00+09:00`);
+        if (Number.isNaN(ms)) throw new Error(`Invalid date "${day}" (expected YYYY-MM-DD)`);
+        return Math.floor(ms / 1000) + addDays * 86400;
+    };
+    const parts = [source.query];
+    if (since) parts.push(`after:${toEpoch(since)}`);
+    if (until) parts.push(`before:${toEpoch(until, 1)}`);
+    return parts.join(' ');
+}
+
+// 본문 번역 한 번. 성공하면 bodyHtml 이 채워지고, 실패하면 failReason 만 돌려준다
+// mode 는 실제로 만든 결과의 모드 (teaching 이 단순 번역으로 물러나면 plain). 품질 검사는 이 모드로
+async function translateBody({ textPlain, textHtml, snippet }, { translator, source, html }) {
+    const { provider } = translator;
+    let mode = source.mode;
+    let bodyText = '';
+    let bodyHtml = undefined;
+    let translated = '';
+    let teaching = null;
+    // bilingual 모드의 원문-번역 짝. 텍스트 파트의 용어집 수정에 쓴다
+    let paired = null;
+    let failReason = '';
+
+    if (!translator.available) {
+        console.error(`[translator] Provider ${provider.name} unavailable. Skip send for ${textHtml ? 'HTML' : 'text'} message.`);
+        failReason = `provider ${provider.name} unavailable`;
+    } else if (source.mode === 'bilingual') {
+        // 원문 문단마다 번역을 짝지어 보여준다. 한국어 원문을 남기는 유일한 모드
+        try {
+            const articles = textHtml ? collectParagraphs(textHtml) : textArticles(textPlain || snippet || '');
+            ({ articles: paired, teaching } = await translator.translateBilingual(articles, { highlight: source.bilingual.highlight }));
+            if (paired.length) {
+                bodyHtml = `<html><head></head><body>${renderBilingualHtml(paired, { layout: source.bilingual.layout })}</body></html>`;
+                translated = paired.flatMap(a => [a.title?.target, ...a.paragraphs.map(p => p.target)]).filter(Boolean).join('\n\n');
+                bodyText = bilingualText(paired);
+            } else {
+                console.error('[translator] No source paragraphs for bilingual output. Skip send.');
+                failReason = 'Bilingual: no source paragraphs';
+            }
+        } catch (e) {
+            console.error('[translator] Bilingual translation error. Skip send:', e?.message || e);
+            failReason = `Bilingual translation error: ${e?.message || e}`;
+        }
+    } else if (textHtml && source.mode !== 'plain') {
+        // html: 태그 보존 번역만, teaching: 기사마다 학습 섹션 추가. 한국어 원문은 포함하지 않음
+        const src = textHtml;
+        try {
+            // 실패 시 전송하지 않음
+            const { html: full, teaching: notes } = await html.run(translator, src, { studyNotes: source.mode === 'teaching' });
+            if (full) {
+                bodyHtml = full;
+                teaching = notes;
+                translated = stripHtml(full);
+                bodyText = htmlToText(full);
+            } else {
+                console.error(`[translator] ${html.label} translation returned empty. Skip send.`);
+                failReason = `${html.label} translation returned empty`;
+            }
+        } catch (e) {
+            console.error(`[translator] ${html.label} translation error. Skip send:`, e?.message || e);
+            failReason = `${html.label} translation error: ${e?.message || e}`;
+        }
+    } else {
+        const src = textPlain || stripHtml(textHtml) || snippet || '';
+        try {
+            // teaching: 교사모드 데이터를 받아 템플릿으로 완전한 문서를 만든다. 안 되면 단순 번역으로
+            const structured = source.mode === 'teaching' ? await translator.translateTeaching(src) : null;
+            if (structured) {
+                const body = renderTeachingHtml(structured);
+                bodyHtml = `<html><head></head><body>${body}</body></html>`;
+                teaching = structured;
+                translated = stripHtml(body);
+                bodyText = htmlToText(body);
+            } else {
+                if (source.mode === 'teaching') console.warn('[translator] No usable teaching data, sending a plain translation');
+                mode = 'plain';
+                const t = await translator.translateToEnglish(src);
+                if (t) {
+                    const simple = `<div class=\"article-body\" style=\"white-space: pre-wrap;\">${escapeHtml(t).replace(/\n/g, '<br/>')}</div>`;
+                    bodyHtml = `<html><body>${simple}</body></html>`;
+                    translated = t;
+                    bodyText = t;
+                } else {
+                    console.error('[translator] Plain text translation empty. Skip send.');
+                    failReason = 'Plain text translation empty';
+                }
+            }
+        } catch (e) {
+            console.error('[translator] Text translation error. Skip send:', e?.message || e);
+            failReason = `Text translation error: ${e?.message || e}`;
+        }
+    }
+    return { mode, bodyText, bodyHtml, translated, teaching, paired, failReason: bodyHtml ? '' : (failReason || 'no translated body') };
+}
+
+// 보내기 전에 능동 콘텐츠와 원문에 없던 URL 을 걷어낸다. strict 면 하나라도 걸리면 실패
+function sanitizeBody(bodyHtml, { textHtml, textPlain, source, id }) {
+    const allowedUrls = collectSourceUrls({ html: textHtml, text: textPlain });
+    const { html: clean, issues } = sanitizeHtml(bodyHtml, { allowedUrls });
+    if (!issues.length) return { bodyHtml: clean, issues, failReason: '' };
+    const counts = {};
+    issues.forEach(i => { counts[i.type] = (counts[i.type] || 0) + 1; });
+    const summary = `${Object.entries(counts).map(([type, n]) => `${n} ${type}`).join(', ')} (first: ${issues[0].detail})`;
+    if (source.sanitize === 'clean') {
+        console.warn('[translator] Sanitized HTML:', id, summary);
+        return { bodyHtml: clean, issues, failReason: '' };
+    }
+    console.error('[translator] Unsafe HTML. Skip send:', id, summary);
+    return { bodyHtml: clean, issues, failReason: `unsafe HTML: ${summary}` };
+}
+
+/**
+ * Translates one fetched message (`messages.get` with format FULL) into the
+ * mail to send, following the source's translation mode. The output is
+ * sanitized and then checked by the quality gate; a failing translation is
+ * retried up to `source.qualityRetries` times. Problems don't throw: they
+ * come back as `failReason` with `ok: false` so the caller can record them;
+ * `unsafe` marks output the sanitizer rejected (strict policy), which is
+ * skipped rather than retried on the next run.
+ */
+export async function translateMessage(message, { translator, source, htmlMode }) {
+    const html = resolveHtmlMode(source, htmlMode);
+    const headers = message.payload.headers || [];
+    const pick = name => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+    const { textPlain, textHtml } = extractBodies(message.payload);
+    const originalSubject = pick('Subject') || '(No Subject)';
+
+    let body = null;
+    let sanitizeIssues = [];
+    let glossaryViolations = [];
+    let quality = null;
+    let failReason = '';
+    // 마지막 시도가 안전하지 않은 HTML 때문에 실패했는지. 그런 편지는 failed 가 아니라 skipped 로 남긴다
+    let unsafe = false;
+    let tries = 0;
+    const attempts = 1 + (source.qualityRetries ?? 1);
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        tries = attempt;
+        // 다시 번역할 때는 캐시에 남은 (검사에 떨어진) 결과를 읽지 않는다
+        const attemptTranslator = attempt > 1 && translator.refreshing ? translator.refreshing() : translator;
+        body = await translateBody({ textPlain, textHtml, snippet: message.snippet }, { translator: attemptTranslator, source, html });
+        failReason = body.failReason;
+        // 번역 자체가 실패했으면(키 없음, 빈 응답 등) 여기서는 다시 시도하지 않는다
+        if (!body.bodyHtml) break;
+
+        const sanitized = sanitizeBody(body.bodyHtml, { textHtml, textPlain, source, id: message.id });
+        body.bodyHtml = sanitized.bodyHtml;
+        sanitizeIssues = sanitized.issues;
+        failReason = sanitized.failReason;
+        unsafe = Boolean(sanitized.failReason);
+
+        // 용어집 위반: 남은 원어는 번역어로 바꾸고, 고칠 수 없는 것(빠진 번역어 등)은 기록만
+        const srcText = textPlain || stripHtml(textHtml);
+        const violations = checkGlossary(srcText, translatedText(body.bodyHtml, body.mode), translator.glossary);
+        const fixedHtml = fixGlossaryHtml(body.bodyHtml, translator.glossary);
+        body.bodyHtml = fixedHtml.html;
+        const fixText = text => (text ? fixGlossaryText(text, translator.glossary).text : text);
+        // bilingual 의 텍스트 파트는 HTML 처럼 원문 문단은 그대로 두고 번역 쪽만 고친다
+        body.bodyText = body.paired
+            ? bilingualText(body.paired.map(a => ({
+                title: a.title && { ...a.title, target: fixText(a.title.target) },
+                paragraphs: a.paragraphs.map(p => ({ ...p, target: fixText(p.target) })),
+            })))
+            : fixText(body.bodyText);
+        glossaryViolations = violations.map(v => ({ ...v, where: 'body', fixed: fixedHtml.fixed.includes(v.term) }));
+        if (violations.length) {
+            console.warn('[translator] Glossary violations:', message.id, glossaryViolations.map(v => `${v.term} ${v.kind}${v.fixed ? ' (fixed)' : ''}`).join(', '));
+        }
+
+        quality = checkQuality({
+            sourceHtml: textHtml,
+            sourceText: textPlain,
+            outputHtml: body.bodyHtml,
+            mode: body.mode,
+            glossary: translator.glossary,
+        });
+        const summary = summarizeQuality(quality);
+        if (quality.status === 'fail') {
+            failReason = failReason || `quality gate ${summary}`;
+            console.error(`[translator] Quality gate failed (attempt ${attempt}/${attempts}):`, message.id, summary);
+        } else if (quality.status === 'warn') {
+            console.warn('[translator] Quality gate warning:', message.id, summary);
+        }
+        if (!failReason) break;
+    }
+
+    // 제목 번역 시도 후 채택
+    let subjectToSend = originalSubject;
+    if (translator.available) {
+        try {
+            const tSubj = await translator.translateToEnglish(originalSubject);
+            if (tSubj && koreanRatio(tSubj) < 0.3) subjectToSend = tSubj;
+        } catch {}
+    }
+    if (subjectToSend !== originalSubject) {
+        const violations = checkGlossary(originalSubject, subjectToSend, translator.glossary);
+        const fixed = fixGlossaryText(subjectToSend, translator.glossary);
+        subjectToSend = fixed.text;
+        glossaryViolations.push(...violations.map(v => ({ ...v, where: 'subject', fixed: fixed.fixed.includes(v.term) })));
+    }
+
+    const ok = !failReason && Boolean(body.bodyHtml);
+    return {
+        id: message.id,
+        threadId: message.threadId,
+        source: source.id,
+        subject: originalSubject,
+        subjectToSend,
+        from: pick('From'),
+        date: pick('Date'),
+        messageId: pick('Message-ID'),
+        references: pick('References').split(/\s+/).filter(Boolean),
+        textPlain,
+        textHtml,
+        bodyText: body.bodyText,
+        bodyHtml: body.bodyHtml,
+        translated: body.translated,
+        teaching: body.teaching,
+        sanitizeIssues,
+        glossaryViolations,
+        quality,
+        attempts: tries,
+        ok,
+        unsafe: !ok && unsafe,
+        failReason: ok ? '' : (failReason || 'no translated body'),
+    };
+}
+
+// 번역 결과로 보낼 "[PREFIX] 번역 제목" 메일. source.mail 에 따라 원문 스레드의 답장으로, 첨부와 함께
+async function letterMail(letter, source, { from, to, bcc = [] }, { gmail, callGmail }) {
+    const mail = {
+        to,
+        from,
+        bcc,
+        subject: `${source.subjectPrefix} ${letter.subjectToSend}`,
+        bodyText: letter.bodyText,
+        bodyHtml: letter.bodyHtml,
+        attachments: [],
+    };
+    if (source.mail.thread && letter.threadId) {
+        mail.threadId = letter.threadId;
+        if (letter.messageId) {
+            mail.inReplyTo = letter.messageId;
+            mail.references = [...letter.references, letter.messageId];
+        }
+    }
+    if (source.mail.attachOriginal) {
+        // 구독자마다 보낼 때 다시 받지 않도록 편지에 담아 둔다
+        if (!letter.originalRaw) {
+            const raw = await callGmail('messages.get', () => gmail.users.messages.get({ userId: 'me', id: letter.id, format: 'RAW' }));
+            letter.originalRaw = Buffer.from(raw.data.raw, 'base64url');
+        }
+        mail.attachments.push({ filename: 'original.eml', contentType: 'message/rfc822', content: letter.originalRaw });
+    }
+    const entries = source.mail.attachVocabulary ? letterEntries(letter) : [];
+    if (entries.length) {
+        mail.attachments.push({ filename: 'vocabulary.csv', contentType: 'text/csv; charset="UTF-8"', content: vocabToCsv(entries) });
+    }
+    return mail;
+}
+
+function translatorFor(source, provider, config, glossary, level, cache) {
+    return createTranslator(provider, {
+        sourceLang: source.sourceLang,
+        targetLang: source.targetLang,
+        glossary: glossary.forSource(source),
+        level,
+        maxChunkChars: config.maxChunkChars,
+        cache,
+    });
+}
+
+// 설정에서 끄지 않았으면 번역 캐시를 연다 (cache.js)
+export function openCache(config) {
+    return config.cache.enabled ? openTranslationCache(config.cache.path, config.cache) : null;
+}
+
+// 모델/Gmail 호출마다 재시도·동시성·분당 요청 제한을 건다 (설정의 limits). 모델 토큰 사용량은 meter 에 (report.js)
+// clients 로 Gmail·모델 클라이언트를 바꿔 끼울 수 있다 (녹화·재생, replay.js)
+export function createApis(auth, config, clients = {}) {
+    const limiters = {
+        model: createLimiter({ name: 'model', ...config.limits.model }),
+        gmail: createLimiter({ name: 'gmail', ...config.limits.gmail }),
+    };
+    const meter = createUsageMeter(config.report.pricing);
+    return {
+        limiters,
+        meter,
+        gmail: clients.gmail || google.gmail({ version: 'v1', auth }),
+        provider: limitProvider(meterProvider(clients.provider || createProvider(config.provider), meter), limiters.model),
+        callGmail: (label, fn) => limiters.gmail.run(fn, label),
+    };
+}
+
+/**
+ * Translates a single message without sending it or touching the ledger, and
+ * returns the translation plus the exact MIME text that `run` would send.
+ * Uses the given source (or the first configured one) for mode and prompts,
+ * and `level` for a subscriber's learning level.
+ */
+export async function previewLetter(auth, messageId, { config, source: sourceId, htmlMode, mode, layout, level = 'intermediate' } = {}) {
+    config = config || await loadConfig();
+    if (!LEARNING_LEVELS.includes(level)) {
+        throw new ConfigError(`Unknown level "${level}" (expected one of: ${LEARNING_LEVELS.join(', ')})`);
+    }
+    const source = withRunOverrides(selectSources(config, sourceId ? [sourceId] : [])[0], { mode, layout });
+    const { gmail, provider, callGmail } = createApis(auth, config);
+    const glossary = await openGlossary(config.glossaryPath);
+    const cache = await openCache(config);
+    const translator = translatorFor(source, provider, config, glossary, level, cache);
+    const profile = await callGmail('getProfile', () => gmail.users.getProfile({ userId: 'me' }));
+    const d = await callGmail('messages.get', () => gmail.users.messages.get({ userId: 'me', id: messageId, format: 'FULL' }));
+    const letter = await translateMessage(d.data, { translator, source, htmlMode });
+    await cache?.save();
+    const mime = letter.ok ? buildMimeMessage(await letterMail(letter, source, { from: profile.data.emailAddress, to: profile.data.emailAddress }, { gmail, callGmail })) : '';
+    return { letter, mime };
+}
+
+// 실행 통계. runPipeline 은 한 번, 데몬은 폴링마다 새로 만든다
+export function newRunStats() {
+    return { pages: 0, candidates: 0, sent: 0, skipped: 0, failed: 0, alreadyDone: 0, deliveries: 0 };
+}
+
+/**
+ * Sets up what every run needs: rate-limited Gmail and model clients, a
+ * model usage meter, the ledger, vocabulary bank, glossary violation log, subscriber list,
+ * translation cache and letter archive, the account address and a translator per source and
+ * learning level (with the source's glossary terms). Shared by `runPipeline` and the polling daemon
+ * (daemon.js), which calls `reload()` before every poll to re-read the files
+ * another command changed meanwhile (glossary, subscribers, ledger, vocabulary
+ * bank, violation log, cache, archive index) and `checkpoint()` after it.
+ *
+ * `clients` replaces the Gmail and model clients (replay.js).
+ *
+ * @param {OAuth2Client} auth
+ * @param {{ config?, sources?: string[], ledger?, vocab?, violations?, clients?: { gmail?, provider? }, htmlMode?: string, mode?: string, layout?: string, dryRun?: boolean }} [options]
+ */
+export async function openSession(auth, { config, sources: sourceIds, ledger, vocab, violations, clients, htmlMode, mode, layout, dryRun = false } = {}) {
+    config = config || await loadConfig();
+    const sources = selectSources(config, sourceIds).map(source => withRunOverrides(source, { mode, layout }));
+    sources.forEach(source => resolveHtmlMode(source, htmlMode));
+    const { gmail, provider, callGmail, limiters, meter } = createApis(auth, config, clients);
+    ledger = ledger || await openLedger();
+    vocab = vocab || await openVocabBank();
+    let glossary = await openGlossary(config.glossaryPath);
+    violations = violations || await openViolationLog();
+    const subscribers = await openSubscribers(config.delivery.subscribersPath);
+    let cache = await openCache(config);
+    const archive = config.archive.enabled ? await openArchive(config.archive.dir) : null;
+    const translators = new Map();
+
+    // 내 이메일 주소 알아내기 (발송용). historyId 는 데몬의 동기화 기준점
+    const profile = await callGmail('getProfile', () => gmail.users.getProfile({ userId: 'me' }));
+    const session = {
+        config,
+        sources,
+        gmail,
+        provider,
+        callGmail,
+        limiters,
+        meter,
+        ledger,
+        vocab,
+        violations,
+        subscribers,
+        cache,
+        archive,
+        htmlMode,
+        mode,
+        dryRun,
+        myEmail: profile.data.emailAddress,
+        historyId: profile.data.historyId,
+        // 소스·학습 수준별 번역기. 그 수준의 구독자가 있을 때 만든다
+        translator(source, level) {
+            const key = `${source.id}:${level}`;
+            if (!translators.has(key)) translators.set(key, translatorFor(source, provider, config, glossary, level, cache));
+            return translators.get(key);
+        },
+        // 데몬이 폴링마다 잠금을 잡은 뒤 부른다: 그사이 다른 명령(CLI)이 고친 파일을 다시 읽는다 (설정 파일은 재시작해야 반영)
+        async reload() {
+            for (const [name, store] of Object.entries(stores)) {
+                const time = await modifiedAt(store.file);
+                if (time === loadedAt[name]) continue;
+                await store.open();
+                loadedAt[name] = time;
+                console.log(`[translator] Reloaded ${name}`, store.file);
+            }
+        },
+        // 잠금을 놓기 전에 부른다: 이 세션이 쓴 파일은 다음 reload 에서 다시 읽지 않게 수정 시각을 기억한다
+        async checkpoint() {
+            for (const [name, store] of Object.entries(stores)) loadedAt[name] = await modifiedAt(store.file);
+        },
+    };
+
+    // reload() 가 보는 파일과 다시 여는 방법. 번역기는 용어집과 캐시를 쥐고 있으므로 새로 만든다
+    const stores = {
+        glossary: {
+            file: config.glossaryPath,
+            open: async () => {
+                glossary = await openGlossary(config.glossaryPath);
+                translators.clear();
+            },
+        },
+        subscribers: {
+            file: config.delivery.subscribersPath,
+            open: async () => { session.subscribers = await openSubscribers(config.delivery.subscribersPath); },
+        },
+        ledger: { file: ledger.path, open: async () => { session.ledger = await openLedger(ledger.path); } },
+        vocab: { file: vocab.path, open: async () => { session.vocab = await openVocabBank(vocab.path); } },
+        violations: { file: violations.path, open: async () => { session.violations = await openViolationLog(violations.path); } },
+        ...(cache && {
+            cache: {
+                file: cache.path,
+                open: async () => {
+                    cache = session.cache = await openCache(config);
+                    translators.clear();
+                },
+            },
+        }),
+        ...(archive && {
+            archive: {
+                file: path.join(archive.dir, 'index.json'),
+                open: async () => { session.archive = await openArchive(archive.dir); },
+            },
+        }),
+    };
+    // 각 파일을 마지막으로 읽었거나 이 세션이 썼을 때의 수정 시각
+    const loadedAt = {};
+    await session.checkpoint();
+    return session;
+}
+
+// 파일 수정 시각. 파일이 없으면 0
+async function modifiedAt(filePath) {
+    try {
+        return (await fs.stat(filePath)).mtimeMs;
+    } catch (e) {
+        if (e.code === 'ENOENT') return 0;
+        throw e;
+    }
+}
+
+// limiter 별 누적 재시도 수
+function retryCounts(limiters) {
+    return Object.fromEntries(Object.entries(limiters).map(([name, l]) => [name, l.stats.retries]));
+}
+
+// 이 편지를 아직 받지 못한 구독자. failed 로 남은 편지를 다시 처리할 때 이미 받은 사람은 뺀다
+function pendingRecipients(session, subscribed, id) {
+    const deliveries = session.ledger.get(id)?.deliveries || {};
+    return subscribed.filter(s => deliveries[s.email]?.status !== 'sent');
+}
+
+// bcc 로 보낼 때 계정 주인이 받는 사람에 없으면 받는 사람 칸에 쓰는 주소 (RFC 5322 빈 그룹)
+const UNDISCLOSED_RECIPIENTS = 'undisclosed-recipients:;';
+
+// 변형 하나를 받는 사람들에게 보낸다. individual 은 한 명씩, bcc 는 한 통 + 숨은 참조
+// (계정 주인이 받는 사람이면 주인에게, 아니면 빈 그룹에게). 반환: { 주소: { status, reason, at } }
+async function sendVariant(session, source, letter, recipients) {
+    const { gmail, callGmail, myEmail, config } = session;
+    // 구독자 주소는 소문자로 정규화돼 있다 (subscribers.js)
+    const owner = myEmail.trim().toLowerCase();
+    const ownerReceives = recipients.includes(owner);
+    const batches = config.delivery.method === 'bcc'
+        ? [{ to: ownerReceives ? myEmail : UNDISCLOSED_RECIPIENTS, bcc: recipients.filter(r => r !== owner), recipients }]
+        : recipients.map(r => ({ to: r, bcc: [], recipients: [r] }));
+    const deliveries = {};
+    for (const batch of batches) {
+        const at = new Date().toISOString();
+        try {
+            const mail = await letterMail(letter, source, { from: myEmail, to: batch.to, bcc: batch.bcc }, session);
+            await callGmail('messages.send', () => sendMail(gmail, mail));
+            batch.recipients.forEach(r => { deliveries[r] = { status: 'sent', reason: '', at }; });
+        } catch (e) {
+            console.error('sendMail failed:', batch.recipients.join(', '), e?.message || e);
+            const reason = `sendMail failed: ${e?.message || e}`;
+            batch.recipients.forEach(r => { deliveries[r] = { status: 'failed', reason, at }; });
+        }
+    }
+    return deliveries;
+}
+
+/**
+ * Translates and sends the given messages for one source, skipping the ones
+ * the ledger marks as done. Each letter is translated once per variant (mode
+ * and learning level) its subscribers want and sent to all of them; delivery
+ * is tracked per recipient in the ledger, so a retry only sends to the ones
+ * that failed. Counts go to `stats` and one entry per message to `results`.
+ */
+export async function processMessages(session, source, messageIds, { stats, results }) {
+    const { gmail, callGmail, ledger, vocab, htmlMode, dryRun } = session;
+    // dry-run 은 원장을 건드리지 않는다
+    const record = (id, status, info) => (dryRun ? null : ledger.record(id, status, { source: source.id, ...info }));
+
+    // 이미 보냈거나 건너뛰기로 결정된 메일은 번역 전에 제외 (failed 는 재시도)
+    const ids = messageIds.filter(id => {
+        if (!ledger.isDone(id)) return true;
+        console.log('[translator] Skip (ledger)', id, ledger.get(id).status);
+        stats.alreadyDone += 1;
+        return false;
+    });
+    if (ids.length === 0) return;
+    stats.candidates += ids.length;
+
+    // 동시 실행 수는 gmail limiter 가 제한한다. 보고서에 남길 편지별 조회 시간도 잰다
+    // 한 통을 못 받아도(삭제돼 404, 재시도를 다 쓴 5xx) 나머지 편지는 처리한다
+    const fetched = await Promise.allSettled(
+        ids.map(async id => {
+            const fetchStarted = Date.now();
+            const res = await callGmail('messages.get', () => gmail.users.messages.get({
+                userId: 'me',
+                id,
+                format: 'FULL',
+            }));
+            return { ...res, fetchMs: Date.now() - fetchStarted };
+        })
+    );
+
+    for (const [i, settled] of fetched.entries()) {
+        if (settled.status === 'rejected') {
+            const e = settled.reason;
+            const reason = `messages.get failed: ${e?.message || e}`;
+            console.error('[translator] Fetch failed:', ids[i], e?.message || e);
+            await record(ids[i], 'failed', { reason });
+            stats.failed += 1;
+            results.push({ id: ids[i], source: source.id, subject: '', status: 'failed', reason });
+            continue;
+        }
+        const d = settled.value;
+        const subject = (d.data.payload.headers || []).find(h => h.name === 'Subject')?.value || '';
+        const skip = async reason => {
+            await record(d.data.id, 'skipped', { reason, subject });
+            stats.skipped += 1;
+            results.push({ id: d.data.id, threadId: d.data.threadId, source: source.id, subject, status: 'skipped', reason, timings: { fetchMs: d.fetchMs } });
+        };
+        // 소스에 도착 시간대가 있으면 action 에 따라 건너뛰거나(skip) 기록만 하고 번역(log)
+        const internalDateMs = Number(d.data.internalDate || 0);
+        if (!isInWindow(internalDateMs, source.window)) {
+            if (source.window.action === 'log') {
+                console.log('[translator] Outside time window, processing anyway', d.data.id, new Date(internalDateMs).toISOString());
+            } else {
+                console.log('[translator] Skip (time window)', d.data.id, new Date(internalDateMs).toISOString());
+                await skip('outside time window');
+                continue;
+            }
+        }
+        const subscribed = session.subscribers.forSource(source, { owner: session.myEmail });
+        if (subscribed.length === 0) {
+            // 원장에 남기지 않는다: 나중에 구독자가 생기거나 수신을 다시 켜면 다음 실행에서 보낸다
+            console.log('[translator] Skip (no subscribers)', d.data.id);
+            stats.skipped += 1;
+            results.push({ id: d.data.id, threadId: d.data.threadId, source: source.id, subject, status: 'skipped', reason: 'no subscribers', timings: { fetchMs: d.fetchMs } });
+            continue;
+        }
+        const recipients = pendingRecipients(session, subscribed, d.data.id);
+        if (recipients.length === 0) {
+            // 지난번에 실패한 구독자가 수신을 거부해 남은 구독자는 모두 받은 경우
+            console.log('[translator] Already delivered to every subscriber', d.data.id);
+            await record(d.data.id, 'sent', { reason: '', subject });
+            stats.alreadyDone += 1;
+            continue;
+        }
+
+        console.log('[translator] Candidate', d.data.id, '-', subject || '(No Subject)');
+        // 실행 보고서용: 단계별 시간, 이 편지의 모델 사용량, 늘어난 API 재시도 수 (report.js)
+        const letterStarted = Date.now();
+        const timings = { fetchMs: d.fetchMs, translateMs: 0, sendMs: 0, recordMs: 0, totalMs: 0 };
+        const usage = session.meter.begin();
+        const retriesBefore = retryCounts(session.limiters);
+        const deliveries = {};
+        const variants = [];
+        // 결과와 원장에 대표로 남길 편지 (성공한 첫 변형)
+        let main = null;
+        let mainVariant = null;
+        let mainQuality = '';
+        // translateMessage 가 예외를 던져도 이 편지의 사용량이 다음 편지에 붙지 않게 한다
+        try {
+            for (const variant of groupVariants(recipients, { mode: source.mode, override: session.mode })) {
+                const variantSource = variant.mode === source.mode ? source : withRunOverrides(source, { mode: variant.mode });
+                const translator = session.translator(source, variant.level);
+                const translateStarted = Date.now();
+                const letter = await translateMessage(d.data, { translator, source: variantSource, htmlMode });
+                timings.translateMs += Date.now() - translateStarted;
+                const quality = letter.quality ? summarizeQuality(letter.quality) : '';
+                if (!main || (letter.ok && !main.ok)) {
+                    main = letter;
+                    mainVariant = variant;
+                    mainQuality = quality;
+                }
+                if (!dryRun && letter.glossaryViolations?.length) {
+                    await session.violations.add(letter.glossaryViolations.map(v => ({ letterId: letter.id, source: source.id, variant: variant.key, subject: letter.subject, ...v })))
+                        .catch(e => console.warn('[translator] Glossary violation log update failed:', e?.message || e));
+                }
+                const info = { key: variant.key, recipients: variant.recipients.length, sentSubject: letter.subjectToSend, quality, attempts: letter.attempts };
+
+                if (!letter.ok) {
+                    console.error('[translator] Skipped send for message:', { id: letter.id, subject: letter.subject, variant: variant.key });
+                    // 번역 실패는 다음 실행에서 재시도할 수 있도록 failed 로 남김
+                    // 안전하지 않은 HTML 은 다시 번역해도 같은 검사에 걸리기 쉬우므로 skipped 로 끝낸다
+                    const status = letter.unsafe ? 'skipped' : 'failed';
+                    variant.recipients.forEach(r => { deliveries[r] = { status, reason: letter.failReason, at: new Date().toISOString() }; });
+                    variants.push({ ...info, status, reason: letter.failReason });
+                    continue;
+                }
+                if (dryRun) {
+                    console.log('[translator] Dry run, not sending', letter.id, variant.key, '-', letter.subjectToSend, `(${variant.recipients.length} recipient(s))`);
+                    variants.push({ ...info, status: 'dry-run', reason: '' });
+                    continue;
+                }
+
+                console.log('[translator] Sending', letter.id, variant.key, '-', letter.subjectToSend, `(${variant.recipients.length} recipient(s))`);
+                const sendStarted = Date.now();
+                const sent = await sendVariant(session, variantSource, letter, variant.recipients);
+                timings.sendMs += Date.now() - sendStarted;
+                Object.assign(deliveries, sent);
+                const failure = Object.values(sent).find(x => x.status === 'failed');
+                const delivered = Object.values(sent).filter(x => x.status === 'sent').length;
+                stats.deliveries += delivered;
+                variants.push({ ...info, status: failure ? 'failed' : 'sent', reason: failure?.reason || '' });
+                if (delivered) console.log('[translator] Sent', letter.id, variant.key, `to ${delivered} recipient(s)`);
+
+                // 보낸 편지의 어휘/문형을 단어장에 합친다 (변형이 여럿이어도 한 번). 단어장 오류로 발송 기록이 틀어지지 않게 경고만
+                if (delivered && letter.teaching && !vocab.has(letter.id)) {
+                    try {
+                        const counts = await vocab.addLetter(letter);
+                        console.log('[translator] Vocabulary bank', letter.id, counts);
+                    } catch (e) {
+                        console.warn('[translator] Vocabulary bank update failed:', letter.id, e?.message || e);
+                    }
+                }
+            }
+        } finally {
+            session.meter.end();
+        }
+
+        const { ok, failReason, bodyHtml, bodyText, subjectToSend, ...result } = main;
+        const failed = variants.find(v => v.status === 'failed');
+        // 모든 변형이 건너뛰어졌을 때만 편지를 skipped 로. 한 변형이라도 보냈으면 sent
+        const skipped = variants.every(v => v.status === 'skipped') ? variants[0] : null;
+        const status = failed ? 'failed' : skipped ? 'skipped' : (dryRun ? 'dry-run' : 'sent');
+        const reason = (failed || skipped || variants.find(v => v.status === 'skipped'))?.reason || '';
+        const receivedAt = new Date(internalDateMs).toISOString();
+        if (status === 'failed') stats.failed += 1;
+        if (status === 'skipped') stats.skipped += 1;
+        if (status === 'sent') stats.sent += 1;
+        const recordStarted = Date.now();
+        // 번역이 나온 편지는 보관함에 남긴다 (dry-run 제외). 보관 실패로 발송 기록이 틀어지지 않게 경고만
+        if (session.archive && !dryRun && bodyHtml) {
+            await session.archive.save(main, { status, reason, mode: mainVariant.mode, level: mainVariant.level, receivedAt, variants })
+                .catch(e => console.warn('[translator] Archive update failed:', main.id, e?.message || e));
+        }
+        await record(d.data.id, status, {
+            reason,
+            subject: main.subject,
+            sentSubject: subjectToSend,
+            receivedAt,
+            quality: mainQuality,
+            // 재시도에서는 이번에 처리한 변형과 받는 사람만 덮어쓴다
+            variants: { ...ledger.get(d.data.id)?.variants, ...Object.fromEntries(variants.map(({ key, ...v }) => [key, v])) },
+            deliveries: { ...ledger.get(d.data.id)?.deliveries, ...deliveries },
+        });
+        timings.recordMs = Date.now() - recordStarted;
+        timings.totalMs = Date.now() - letterStarted + d.fetchMs;
+        const retries = {
+            ...countsSince(retryCounts(session.limiters), retriesBefore),
+            quality: variants.reduce((sum, v) => sum + Math.max(0, (v.attempts || 1) - 1), 0),
+        };
+        results.push({ ...result, status, reason, variants, timings, usage, retries });
+        // 편지마다 캐시를 저장해 중간에 멈춰도 번역한 만큼은 남는다
+        await session.cache?.save().catch(e => console.warn('[translator] Translation cache save failed:', e?.message || e));
+    }
+}
+
+// 검색 결과의 모든 페이지를 돌며 페이지마다 onPage(ids) 호출
+export async function listMessages(session, q, { stats, onPage }) {
+    let pageToken = undefined;
+    do {
+        const res = await session.callGmail('messages.list', () => session.gmail.users.messages.list({
+            userId: 'me',
+            q,
+            maxResults: 20,
+            pageToken,
+        }));
+        const pageIds = (res.data.messages || []).map(m => m.id);
+        console.log(`[translator] Page ${++stats.pages}: ids=${pageIds.length}`);
+        await onPage(pageIds);
+        pageToken = res.data.nextPageToken;
+    } while (pageToken);
+}
+
+// 소스 하나에 대한 조회 → 번역 → 발송. 카운트는 stats 에 누적
+async function runSource(session, source, { since, until, stats, results }) {
+    const q = buildQuery(source, { since, until });
+    console.log('[translator] Source', { id: source.id, mode: source.mode, htmlMode: resolveHtmlMode(source, session.htmlMode).name, query: q });
+    await listMessages(session, q, {
+        stats,
+        onPage: ids => processMessages(session, source, ids, { stats, results }),
+    });
+}
+
+const apiStats = limiters => Object.fromEntries(Object.entries(limiters).map(([name, l]) => [name, { ...l.stats }]));
+
+// 실행(또는 데몬 폴링) 하나. 세션의 누적 카운터는 시작 때 값을 기억해 두고 보고서에서 뺀다
+export function startRun(session) {
+    return {
+        startedAt: new Date(),
+        stats: newRunStats(),
+        results: [],
+        before: { api: apiStats(session.limiters), cache: { ...session.cache?.stats }, usage: { ...session.meter.total } },
+    };
+}
+
+// 실패하거나 건너뛴 편지가 있으면 운영자(report.alertTo, 없으면 계정 주인)에게 짧은 알림 메일
+async function sendRunAlert(session, report, file) {
+    const { config, gmail, callGmail, myEmail } = session;
+    const { alertOn, alertTo, alertSubjectPrefix } = config.report;
+    const counts = alertOn
+        .map(status => [status, report.letters.filter(l => l.status === status).length])
+        .filter(([, n]) => n > 0);
+    if (counts.length === 0) return;
+    const subject = `${alertSubjectPrefix} ${counts.map(([status, n]) => `${n} ${status}`).join(', ')}`;
+    if (session.dryRun) {
+        console.log('[translator] Dry run, not sending alert:', subject);
+        return;
+    }
+    const to = alertTo || myEmail;
+    try {
+        await callGmail('messages.send', () => sendMail(gmail, { to, from: myEmail, subject, bodyText: renderAlertText(report, file, alertOn) }));
+        console.log('[translator] Alert sent to', to, '-', subject);
+    } catch (e) {
+        console.warn('[translator] Alert mail failed:', e?.message || e);
+    }
+}
+
+/**
+ * Ends a run started with `startRun`: writes the run report and its history
+ * entry (report.js) and mails the operator an alert when letters failed or
+ * were skipped (`report.alertOn`; never on a dry run). A report or alert
+ * error only warns, so it never changes the run's outcome.
+ *
+ * @param {object} session from `openSession`
+ * @param {{ startedAt: Date, stats, results: Array<object>, before }} run from `startRun`
+ * @param {string} kind `run` or `poll`
+ * @return {Promise<{ report: object, file: string|null }>}
+ */
+export async function finishRun(session, run, kind) {
+    const api = apiStats(session.limiters);
+    const report = buildRunReport({
+        kind,
+        startedAt: run.startedAt,
+        dryRun: session.dryRun,
+        provider: session.provider,
+        stats: run.stats,
+        api: Object.fromEntries(Object.entries(api).map(([name, s]) => [name, countsSince(s, run.before.api[name])])),
+        cache: session.cache ? countsSince(session.cache.stats, run.before.cache) : null,
+        usage: countsSince(session.meter.total, run.before.usage),
+        results: run.results,
+    });
+    let file = null;
+    try {
+        file = await saveRunReport(report, session.config.report);
+        console.log('[translator] Run report', file);
+    } catch (e) {
+        console.warn('[translator] Run report save failed:', e?.message || e);
+    }
+    await sendRunAlert(session, report, file);
+    return { report, file };
+}
+
+/**
+ * Runs the pipeline for every configured source (or the ones named in
+ * `sources`): list matching messages, translate each one and send it to the
+ * subscribers (or, without a subscriber list, the account owner). Every
+ * returned result has a `status` of `sent`, `dry-run`, `skipped` or `failed`
+ * plus a `reason`, and the stage `timings`, model `usage` and `retries` that
+ * go into the run report written at the end (`finishRun`).
+ *
+ * `mode` and `layout` override every selected source's translation mode and
+ * bilingual layout for this run only. The whole run holds the data lock
+ * (lock.js), so it never overlaps a daemon poll, a digest or another run.
+ *
+ * @param {OAuth2Client} auth
+ * @param {{ config?, sources?: string[], ledger?, vocab?, violations?, clients?, htmlMode?: string, mode?: string, layout?: string, since?: string, until?: string, dryRun?: boolean, lockPath?: string }} [options]
+ */
+export default async function runPipeline(auth, { lockPath = LOCK_PATH, ...options } = {}) {
+    return withLock(lockPath, options.since ? 'backfill' : 'run', () => runLocked(auth, options));
+}
+
+async function runLocked(auth, { since, until, ...options }) {
+    const session = await openSession(auth, options);
+    const { config, sources, provider, dryRun } = session;
+
+    const run = startRun(session);
+    const { stats, results } = run;
+    console.log('[translator] Start', { provider: provider.name, model: provider.model, available: provider.available, config: config.path || '(built-in)', sources: sources.map(s => s.id), dryRun });
+    console.log('Started', run.startedAt);
+
+    for (const source of sources) {
+        await runSource(session, source, { since, until, stats, results });
+    }
+
+    const { report } = await finishRun(session, run, 'run');
+    console.log('[translator] Done', {
+        duration: formatDuration(report.durationMs),
+        ...stats,
+        api: report.api,
+        cache: report.cache || 'off',
+        usage: report.usage,
+    });
+    return results;
+}
@@ -0,0 +1,110 @@
+import process from 'node:process';
+import { GoogleGenAI } from '@google/genai';
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+// 번역 공급자 설정. defaults(설정 파일의 provider 항목) 위에 환경변수가 우선한다
+export function providerConfigFromEnv(env = process.env, defaults = {}) {
+    const temperature = env.TRANSLATOR_TEMPERATURE ?? defaults.temperature;
+    return {
+        provider: env.TRANSLATOR_PROVIDER || defaults.provider || 'gemini',
+        model: env.TRANSLATOR_MODEL || defaults.model || '',
+        temperature: temperature === undefined || temperature === '' ? undefined : Number(temperature),
+        apiKey: env.GEMINI_API_KEY,
+    };
+}
+
+// 모델에 보낼 최종 프롬프트: 지시문 → 빈 줄 → 원문
+function buildPrompt(instructions, input) {
+    return [...instructions, '', input].join('\n');
+}
+
+function createGeminiProvider({ model, temperature, apiKey }) {
+    const ai = apiKey ? new GoogleGenAI({ apiKey }) : null;
+    const modelName = model || DEFAULT_MODEL;
+    return {
+        name: 'gemini',
+        model: modelName,
+        available: Boolean(ai),
+        async generate({ instructions, input, temperature: callTemperature, responseMimeType = 'text/plain', responseJsonSchema }) {
+            if (!ai) throw new Error('GEMINI_API_KEY missing');
+            const config = { responseMimeType, temperature: temperature ?? callTemperature };
+            if (responseJsonSchema) config.responseJsonSchema = responseJsonSchema;
+            const res = await ai.models.generateContent({
+                model: modelName,
+                contents: buildPrompt(instructions, input),
+                config,
+            });
+            return { text: res.text || '', usage: res.usageMetadata || null };
+        },
+    };
+}
+
+// 한글 음절을 국어의 로마자 표기법(간이판)으로 풀어 쓴다
+const INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+function romanizeSyllable(ch) {
+    const idx = ch.charCodeAt(0) - 0xAC00;
+    if (idx < 0 || idx > 11171) return '';
+    return INITIALS[Math.floor(idx / 588)] + MEDIALS[Math.floor((idx % 588) / 28)] + FINALS[idx % 28];
+}
+
+export function romanizeHangul(text) {
+    if (!text) return '';
+    return text.replace(/[\uAC00-\uD7A3]+/g, run => [...run].map(romanizeSyllable).join(''));
+}
+
+// 스키마 모양대로 채운 더미 JSON. 문자열 배열에는 입력 줄을, 나머지 문자열에는 첫 줄을 넣는다
+function sampleFromSchema(schema, lines) {
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .map(([key, sub]) => [key, sampleFromSchema(sub, lines)]));
+        case 'array':
+            if (schema.items?.type === 'string') return lines.length ? lines : ['stub'];
+            return Array.from({ length: Math.max(schema.minItems || 1, 1) }, () => sampleFromSchema(schema.items, lines));
+        case 'number':
+        case 'integer':
+            return 0;
+        case 'boolean':
+            return false;
+        default:
+            return schema.enum ? schema.enum[0] : (lines[0] || 'stub');
+    }
+}
+
+// 오프라인 실행/테스트용. 같은 입력에는 항상 같은 출력을 낸다
+function createStubProvider({ model }) {
+    return {
+        name: 'stub',
+        model: model || 'stub-romanizer',
+        available: true,
+        async generate({ input, responseJsonSchema }) {
+            const text = romanizeHangul(input);
+            if (!responseJsonSchema) return { text, usage: null };
+            const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+            return { text: JSON.stringify(sampleFromSchema(responseJsonSchema, lines)), usage: null };
+        },
+    };
+}
+
+const FACTORIES = {
+    gemini: createGeminiProvider,
+    stub: createStubProvider,
+};
+
+/**
+ * Creates a translation provider. Every provider exposes the same shape:
+ * `{ name, model, available, generate({ instructions, input, temperature,
+ * responseMimeType, responseJsonSchema }) => { text, usage } }`.
+ * A `temperature` set in the config overrides the per-call default.
+ */
+export default function createProvider(config = providerConfigFromEnv()) {
+    const factory = FACTORIES[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown translation provider "${config.provider}" (expected one of: ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    return factory(config);
+}
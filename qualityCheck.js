@@ -0,0 +1,139 @@
+import { parse } from 'parse5';
+import { checkGlossary, termsFromObject } from './glossary.js';
+import { koreanRatio, stripHtml } from './textUtils.js';
+
+const STUDY_HEADING = /^(vocabulary|sentence patterns)$/i;
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+// 원문 마크업을 버리고 새로 그리는 모드 (링크/이미지 비교 안 함)
+const REBUILT_MODES = new Set(['plain', 'bilingual']);
+
+// bilingual 출력에 그대로 남긴 원문 문단
+function isSourceText(el) {
+    return (el.attrs || []).some(a => a.name === 'class' && a.value.split(/\s+/).includes('bi-source'));
+}
+
+function textOf(node) {
+    if (node.nodeName === '#text') return node.value;
+    return (node.childNodes || []).map(textOf).join('');
+}
+
+// 링크/이미지/제목 개수와 본문 텍스트. 학습 섹션 제목(Vocabulary 등)은 기사 제목과 따로 센다
+function htmlStats(html) {
+    const stats = { links: 0, images: 0, headings: 0, studyHeadings: { vocabulary: 0, 'sentence patterns': 0 }, text: [] };
+    if (!html) return { ...stats, text: '' };
+    (function walk(node) {
+        for (const child of node.childNodes || []) {
+            if (child.nodeName === '#text') stats.text.push(child.value);
+            if (!child.tagName || child.tagName === 'script' || child.tagName === 'style' || isSourceText(child)) continue;
+            if (child.tagName === 'a' && (child.attrs || []).some(a => a.name === 'href' && a.value.trim())) stats.links += 1;
+            if (child.tagName === 'img') stats.images += 1;
+            if (/^h[1-3]$/.test(child.tagName)) {
+                const text = textOf(child).trim();
+                if (STUDY_HEADING.test(text)) stats.studyHeadings[text.toLowerCase()] += 1;
+                else if (text) stats.headings += 1;
+            }
+            walk(child);
+            if (child.content) walk(child.content);
+        }
+    })(parse(html));
+    return { ...stats, text: stats.text.join(' ').replace(/\s+/g, ' ').trim() };
+}
+
+// 숫자는 구분자(, .)를 뺀 자릿수로 비교한다. 123억 → 12.3 billion 처럼 단위가 바뀌어도 자릿수는 남는 경우가 많다
+function numberTokens(text) {
+    return [...(text || '').matchAll(/\d[\d,.]*\d|\d/g)]
+        .map(m => m[0].replace(/[,.]/g, ''))
+        .filter(n => n.length >= 2);
+}
+
+function check(name, status, detail) {
+    return { name, status, detail };
+}
+
+function compareCounts(name, source, output) {
+    if (source === 0) return check(name, 'pass', 'none in source');
+    const detail = `${output}/${source}`;
+    if (output === 0) return check(name, 'fail', `${detail} (all lost)`);
+    if (output < source) return check(name, 'warn', `${detail} (some lost)`);
+    return check(name, 'pass', detail);
+}
+
+// 번역된 부분의 텍스트만 (bilingual 은 원문 문단을 뺀다)
+export function translatedText(html, mode) {
+    return mode === 'bilingual' ? htmlStats(html).text : stripHtml(html);
+}
+
+/**
+ * Compares a translation with its source and returns a pass/warn/fail
+ * report: sections, links, images, numbers, glossary terms, leftover
+ * Hangul and (in teaching mode) the study sections. In bilingual output
+ * the kept source paragraphs (`.bi-source`) are left out of the checks.
+ *
+ * @param {{ sourceHtml?: string, sourceText?: string, outputHtml: string, mode: string, glossary?: Array<object> }} input
+ * @return {{ status: 'pass'|'warn'|'fail', checks: Array<{ name: string, status: string, detail: string }> }}
+ */
+export default function checkQuality({ sourceHtml = '', sourceText = '', outputHtml, mode, glossary = [] }) {
+    const srcText = sourceText || stripHtml(sourceHtml);
+    const src = htmlStats(sourceHtml);
+    const out = htmlStats(outputHtml);
+    const outText = translatedText(outputHtml, mode);
+    const checks = [];
+
+    // 기사/섹션 수 (원문 h1~h3 기준). 원문에 제목이 없으면 분량으로 판단
+    if (src.headings > 0) {
+        const ratio = out.headings / src.headings;
+        const detail = `${out.headings}/${src.headings} headings`;
+        checks.push(check('sections', ratio < 0.5 ? 'fail' : ratio < 0.8 ? 'warn' : 'pass', detail));
+    }
+    const lengthRatio = srcText.length ? outText.length / srcText.length : 1;
+    const lengthDetail = `${outText.length}/${srcText.length} chars`;
+    checks.push(check('length', lengthRatio < 0.5 ? 'fail' : lengthRatio < 0.8 ? 'warn' : 'pass', lengthDetail));
+
+    // plain/bilingual 은 마크업을 새로 만들므로 링크/이미지를 비교하지 않는다
+    if (sourceHtml && !REBUILT_MODES.has(mode)) {
+        checks.push(compareCounts('links', src.links, out.links));
+        checks.push(compareCounts('images', src.images, out.images));
+    }
+
+    const srcNumbers = [...new Set(numberTokens(srcText))];
+    if (srcNumbers.length) {
+        const outDigits = numberTokens(outText).join(' ');
+        const missing = srcNumbers.filter(n => !outDigits.includes(n));
+        const share = missing.length / srcNumbers.length;
+        const detail = missing.length ? `missing ${missing.slice(0, 5).join(', ')} (${missing.length}/${srcNumbers.length})` : `${srcNumbers.length} kept`;
+        checks.push(check('numbers', share > 0.5 && srcNumbers.length >= 4 ? 'fail' : share > 0.2 ? 'warn' : 'pass', detail));
+    }
+
+    // 남은 원어(untranslated)는 fail, 빠진 번역어(missing)나 번역돼 버린 번역 금지어(translated)는 warn
+    const terms = (Array.isArray(glossary) ? glossary : termsFromObject(glossary)).filter(t => srcText.includes(t.source));
+    if (terms.length) {
+        const violations = checkGlossary(srcText, outText, terms);
+        const byKind = kind => violations.filter(v => v.kind === kind).map(v => (kind === 'missing' ? v.target : v.term));
+        const leftover = byKind('untranslated');
+        const status = leftover.length ? 'fail' : violations.length ? 'warn' : 'pass';
+        const detail = ['untranslated', 'missing', 'translated']
+            .map(kind => byKind(kind).length && `${kind}: ${byKind(kind).join(', ')}`)
+            .filter(Boolean).join('; ') || `${terms.length} terms ok`;
+        checks.push(check('glossary', status, detail));
+    }
+
+    const hangul = koreanRatio(outText);
+    checks.push(check('hangul', hangul > 0.3 ? 'fail' : hangul > 0.05 ? 'warn' : 'pass', `${(hangul * 100).toFixed(1)}% Hangul left`));
+
+    if (mode === 'teaching') {
+        const vocab = out.studyHeadings.vocabulary;
+        const patterns = out.studyHeadings['sentence patterns'];
+        const detail = `${vocab} Vocabulary, ${patterns} Sentence Patterns`;
+        checks.push(check('teaching', !vocab || !patterns ? 'fail' : vocab !== patterns ? 'warn' : 'pass', detail));
+    }
+
+    const status = checks.reduce((worst, c) => (STATUS_RANK[c.status] > STATUS_RANK[worst] ? c.status : worst), 'pass');
+    return { status, checks };
+}
+
+// 로그/원장용 한 줄 요약: "fail: links 0/12 (all lost); hangul 35.0% Hangul left"
+export function summarizeQuality(report) {
+    const notable = report.checks.filter(c => c.status !== 'pass');
+    if (!notable.length) return report.status;
+    return `${report.status}: ${notable.map(c => `${c.name} ${c.detail}`).join('; ')}`;
+}
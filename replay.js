@@ -0,0 +1,256 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { google } from 'googleapis';
+import { cacheKey } from './cache.js';
+import { openViolationLog } from './glossary.js';
+import openLedger, { writeJsonAtomic } from './ledger.js';
+import createProvider from './providers.js';
+import openVocabBank from './vocabBank.js';
+
+// 녹화·재생 하네스. 고정 데이터(fixture) 폴더 구조:
+//   profile.json          getProfile 응답
+//   lists.json            { 검색어: [메시지 ID] }
+//   messages/<id>.json    messages.get (FULL), messages/<id>.raw.json 은 RAW
+//   model.json            { provider: { name, model }, responses: { 요청 키: { input, texts } } }
+
+export class ReplayError extends Error {}
+
+// 모델 요청 하나의 키: 지시문·입력·응답 형식이 같으면 같은 응답
+export function modelKey({ instructions, input, responseMimeType = 'text/plain', responseJsonSchema = null }) {
+    return cacheKey(instructions, input, responseMimeType, responseJsonSchema);
+}
+
+// 로그와 model.json 에서 어떤 요청인지 알아볼 수 있을 만큼만
+function excerpt(text) {
+    const oneLine = String(text || '').replace(/\s+/g, ' ').trim();
+    return oneLine.length > 80 ? `${oneLine.slice(0, 80)}…` : oneLine;
+}
+
+async function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw new ReplayError(`Cannot read fixture ${filePath}: ${e.message}`);
+    }
+}
+
+const messageFile = (id, format = 'FULL') => `${id}${format === 'RAW' ? '.raw' : ''}.json`;
+
+/**
+ * Opens a fixture directory. With `record`, the recorded profile, lists and
+ * model responses start empty (messages are overwritten as they are
+ * fetched) and are written by `save()`.
+ *
+ * @param {string} dir
+ * @param {{ record?: boolean }} [options]
+ */
+export async function openFixtures(dir, { record = false } = {}) {
+    const messagesDir = path.join(dir, 'messages');
+    const fixtures = {
+        dir,
+        profile: record ? null : await readJson(path.join(dir, 'profile.json'), null),
+        lists: record ? {} : await readJson(path.join(dir, 'lists.json'), {}),
+        model: record ? { provider: null, responses: {} } : await readJson(path.join(dir, 'model.json'), { provider: null, responses: {} }),
+        // 녹화된 모든 메시지 ID (FULL)
+        async messageIds() {
+            const files = await fs.readdir(messagesDir).catch(e => (e.code === 'ENOENT' ? [] : Promise.reject(e)));
+            return files.filter(f => f.endsWith('.json') && !f.endsWith('.raw.json')).map(f => f.slice(0, -'.json'.length)).sort();
+        },
+        async message(id, format) {
+            if (!/^[\w-]+$/.test(id)) return null;
+            return readJson(path.join(messagesDir, messageFile(id, format)), null);
+        },
+        async addMessage(id, format, data) {
+            await writeJsonAtomic(path.join(messagesDir, messageFile(id, format)), data);
+        },
+        // 같은 요청이 여러 번이면 (JSON 재시도 등) 응답을 순서대로 쌓는다
+        addResponse(request, text) {
+            const key = modelKey(request);
+            const entry = (fixtures.model.responses[key] = fixtures.model.responses[key] || { input: excerpt(request.input), texts: [] });
+            entry.texts.push(text);
+        },
+        async save() {
+            await writeJsonAtomic(path.join(dir, 'profile.json'), fixtures.profile);
+            await writeJsonAtomic(path.join(dir, 'lists.json'), fixtures.lists);
+            await writeJsonAtomic(path.join(dir, 'model.json'), { version: 1, ...fixtures.model });
+        },
+    };
+    return fixtures;
+}
+
+/**
+ * Wraps a real Gmail client so every profile, list and fetched message is
+ * saved to the fixtures. Each fetched message is also saved in RAW format,
+ * for sources that attach the original. Sending is refused: a recording
+ * run is always a dry run.
+ */
+export function recordGmail(gmail, fixtures) {
+    return {
+        users: {
+            async getProfile(params) {
+                const res = await gmail.users.getProfile(params);
+                fixtures.profile = res.data;
+                return res;
+            },
+            messages: {
+                async list(params) {
+                    const res = await gmail.users.messages.list(params);
+                    const ids = (res.data.messages || []).map(m => m.id);
+                    fixtures.lists[params.q] = params.pageToken ? [...(fixtures.lists[params.q] || []), ...ids] : ids;
+                    return res;
+                },
+                async get(params) {
+                    const res = await gmail.users.messages.get(params);
+                    await fixtures.addMessage(params.id, params.format, res.data);
+                    if (params.format !== 'RAW') {
+                        const raw = await gmail.users.messages.get({ ...params, format: 'RAW' });
+                        await fixtures.addMessage(params.id, 'RAW', raw.data);
+                    }
+                    return res;
+                },
+                async send() {
+                    throw new ReplayError('recording never sends mail');
+                },
+            },
+        },
+    };
+}
+
+// 모델 응답을 그대로 돌려주면서 요청 키별로 기록한다
+export function recordProvider(provider, fixtures) {
+    fixtures.model.provider = { name: provider.name, model: provider.model };
+    return {
+        ...provider,
+        async generate(request) {
+            const res = await provider.generate(request);
+            fixtures.addResponse(request, res.text);
+            return res;
+        },
+    };
+}
+
+/**
+ * Fake Gmail client serving the fixtures. `messages.list` returns the IDs
+ * recorded for the same query (or every recorded message when the query
+ * wasn't recorded, e.g. a backfill range); `messages.send` writes each mail
+ * to `outDir` as `NNN-<to>.eml` instead of sending it.
+ */
+export function replayGmail(fixtures, { outDir }) {
+    let sent = 0;
+    const warned = new Set();
+    return {
+        users: {
+            async getProfile() {
+                return { data: fixtures.profile || { emailAddress: 'me@example.com', historyId: '1' } };
+            },
+            messages: {
+                async list({ q }) {
+                    let ids = fixtures.lists[q];
+                    if (!ids) {
+                        if (!warned.has(q)) console.warn(`[translator] Replay: query "${q}" was not recorded, listing every recorded message`);
+                        warned.add(q);
+                        ids = await fixtures.messageIds();
+                    }
+                    return { data: { messages: ids.map(id => ({ id })), resultSizeEstimate: ids.length } };
+                },
+                async get({ id, format = 'FULL' }) {
+                    const data = await fixtures.message(id, format);
+                    if (!data) throw new ReplayError(`no recorded messages.get ${format} for ${id} in ${fixtures.dir}`);
+                    return { data };
+                },
+                async send({ requestBody }) {
+                    const raw = Buffer.from(requestBody.raw, 'base64url').toString('utf-8');
+                    const to = raw.match(/^To: (.*)$/m)?.[1] || 'unknown';
+                    const file = path.join(outDir, `${String(++sent).padStart(3, '0')}-${to.replace(/[^\w.@-]+/g, '_')}.eml`);
+                    await fs.mkdir(outDir, { recursive: true });
+                    await fs.writeFile(file, raw);
+                    console.log('[translator] Replay: captured', file);
+                    return { data: { id: `replay-${sent}`, threadId: requestBody.threadId } };
+                },
+            },
+        },
+    };
+}
+
+// 녹화된 응답만 돌려주는 모델. 재시도처럼 같은 요청이 반복되면 다음 응답 (다 쓰면 마지막 것)
+export function replayProvider(fixtures) {
+    const served = new Map();
+    const { name = 'replay', model = '' } = fixtures.model.provider || {};
+    return {
+        name,
+        model,
+        available: true,
+        async generate(request) {
+            const key = modelKey(request);
+            const entry = fixtures.model.responses[key];
+            if (!entry) throw new ReplayError(`no recorded model response for "${excerpt(request.input)}" (prompt changed? record again)`);
+            const n = served.get(key) || 0;
+            served.set(key, n + 1);
+            return { text: entry.texts[Math.min(n, entry.texts.length - 1)], usage: null };
+        },
+    };
+}
+
+/**
+ * Run options for a recording or replay of `runPipeline`: the recording or
+ * fake clients, and a throwaway ledger, vocabulary bank, violation log and
+ * run report directory so the real ones under data/ are never touched. The
+ * translation cache and the archive are off, so every model call reaches the
+ * fixtures. Recording is
+ * always a dry run. `scratch` is the temporary directory holding those files.
+ *
+ * @param {{ config, auth?, record?: string, replay?: string, outDir?: string }} options
+ */
+export async function harnessOptions({ config, auth, record, replay, outDir }) {
+    const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'translator-harness-'));
+    let clients;
+    let fixtures;
+    if (record) {
+        fixtures = await openFixtures(record, { record: true });
+        clients = {
+            gmail: recordGmail(google.gmail({ version: 'v1', auth }), fixtures),
+            provider: recordProvider(createProvider(config.provider), fixtures),
+        };
+    } else {
+        fixtures = await openFixtures(replay);
+        clients = { gmail: replayGmail(fixtures, { outDir }), provider: replayProvider(fixtures) };
+    }
+    return {
+        fixtures,
+        scratch,
+        options: {
+            config: {
+                ...config,
+                cache: { ...config.cache, enabled: false },
+                archive: { ...config.archive, enabled: false },
+                report: { ...config.report, dir: path.join(scratch, 'reports'), historyPath: path.join(scratch, 'run-history.json') },
+            },
+            clients,
+            ledger: await openLedger(path.join(scratch, 'ledger.json')),
+            vocab: await openVocabBank(path.join(scratch, 'vocab.json')),
+            violations: await openViolationLog(path.join(scratch, 'glossary-violations.json')),
+            lockPath: path.join(scratch, 'translator.lock'),
+            ...(record && { dryRun: true }),
+        },
+    };
+}
+
+/**
+ * A captured mail with the parts that change on every run (Date, Message-ID,
+ * MIME boundaries) replaced by fixed placeholders, for comparing replays.
+ *
+ * @param {string} eml
+ * @return {string}
+ */
+export function normalizeEml(eml) {
+    const boundaries = new Map();
+    return eml
+        .replace(/^Date: .*$/m, 'Date: (date)')
+        .replace(/^Message-ID: .*$/m, 'Message-ID: (message-id)')
+        .replace(/=_[0-9a-f]{24}/g, b => {
+            if (!boundaries.has(b)) boundaries.set(b, `=_boundary${boundaries.size + 1}`);
+            return boundaries.get(b);
+        });
+}
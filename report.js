@@ -0,0 +1,229 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { writeJsonAtomic } from './ledger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ReportError extends Error {}
+
+const USAGE_KEYS = ['calls', 'inputTokens', 'outputTokens', 'costUsd'];
+
+function emptyUsage() {
+    return Object.fromEntries(USAGE_KEYS.map(key => [key, 0]));
+}
+
+function addUsage(target, usage) {
+    for (const key of USAGE_KEYS) target[key] += usage?.[key] || 0;
+    return target;
+}
+
+// 달러 금액의 부동소수 오차를 파일에 남기지 않는다
+const roundUsage = usage => ({ ...usage, costUsd: Number(usage.costUsd.toFixed(6)) });
+
+/**
+ * Counts model calls, tokens and the estimated cost from each response's
+ * usage metadata (Gemini `usageMetadata`; the stub and replays report none,
+ * so only calls are counted). `begin()` starts a per-letter tally that every
+ * call also adds to until `end()`; letters are processed one at a time.
+ *
+ * @param {Object<string, { input: number, output: number }>} [pricing] USD per million tokens, by model
+ */
+export function createUsageMeter(pricing = {}) {
+    const total = emptyUsage();
+    let letter = null;
+    return {
+        total,
+        add(model, usage) {
+            const inputTokens = usage?.promptTokenCount || 0;
+            // 생각(thinking) 토큰도 출력 토큰 요금으로 청구된다
+            const outputTokens = (usage?.candidatesTokenCount || 0) + (usage?.thoughtsTokenCount || 0);
+            const price = pricing[model];
+            const costUsd = price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0;
+            const call = { calls: 1, inputTokens, outputTokens, costUsd };
+            addUsage(total, call);
+            if (letter) addUsage(letter, call);
+        },
+        begin() {
+            letter = emptyUsage();
+            return letter;
+        },
+        end() {
+            letter = null;
+        },
+    };
+}
+
+// 모델 응답은 그대로 돌려주고 사용량만 meter 에 더한다
+export function meterProvider(provider, meter) {
+    return {
+        ...provider,
+        async generate(request) {
+            const res = await provider.generate(request);
+            meter.add(provider.model, res.usage);
+            return res;
+        },
+    };
+}
+
+// 누적 카운터(사용량, limiter·캐시 통계)에서 이번 실행 동안 늘어난 만큼
+export function countsSince(counts, before = {}) {
+    return Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, value - (before[key] || 0)]));
+}
+
+const totalRetries = api => Object.values(api).reduce((sum, s) => sum + s.retries, 0);
+
+/**
+ * The structured report of one run (or daemon poll): run totals, API
+ * limiter counts, cache hits, model usage and one entry per processed letter
+ * with its stage timings, usage, retries, quality gate checks and the skip
+ * or failure reason.
+ *
+ * @param {{ kind: string, startedAt: Date, finishedAt?: Date, dryRun: boolean, provider, stats, api, cache, usage, results: Array<object> }} run
+ */
+export function buildRunReport({ kind, startedAt, finishedAt = new Date(), dryRun, provider, stats, api, cache, usage, results }) {
+    return {
+        version: 1,
+        kind,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        dryRun,
+        provider: { name: provider.name, model: provider.model },
+        stats,
+        api,
+        cache,
+        usage: roundUsage(usage),
+        letters: results.map(r => ({
+            id: r.id,
+            source: r.source,
+            subject: r.subject,
+            status: r.status,
+            reason: r.reason,
+            timings: r.timings || null,
+            usage: r.usage ? roundUsage(r.usage) : null,
+            retries: r.retries || null,
+            quality: r.quality || null,
+            glossaryViolations: r.glossaryViolations?.length || 0,
+            variants: r.variants || [],
+        })),
+    };
+}
+
+// 기록 파일에 남기는 한 줄 요약 (편지별 내용은 보고서 파일에만)
+export function reportSummary(report, file) {
+    const { candidates, sent, skipped, failed, deliveries } = report.stats;
+    return {
+        startedAt: report.startedAt,
+        kind: report.kind,
+        dryRun: report.dryRun,
+        durationMs: report.durationMs,
+        candidates,
+        sent,
+        skipped,
+        failed,
+        deliveries,
+        retries: totalRetries(report.api),
+        usage: report.usage,
+        report: file,
+    };
+}
+
+/**
+ * Reads the run history (`{ version, runs }`); an empty list when the file
+ * doesn't exist yet.
+ *
+ * @param {string} historyPath
+ * @return {Promise<Array<object>>}
+ */
+export async function readRunHistory(historyPath) {
+    try {
+        return JSON.parse(await fs.readFile(historyPath, 'utf-8')).runs || [];
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw new ReportError(`Cannot read run history ${historyPath}: ${e.message}`);
+    }
+}
+
+const reportFileName = report => `${report.startedAt.replace(/[:.]/g, '-')}-${report.kind}.json`;
+
+// 보고서 파일 이름의 시작 시각 ("2026-10-19T08-00-00-000Z-run.json"). 다른 파일은 null
+function reportFileTime(file) {
+    const m = file.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-\w+\.json$/);
+    return m ? Date.parse(`${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z`) : null;
+}
+
+// reportDays 보다 오래된 보고서 파일을 지운다. 복사·복원으로 바뀌는 mtime 이 아니라 이름의 시작 시각으로 판단
+async function pruneReports(dir, reportDays, now) {
+    const files = await fs.readdir(dir).catch(e => (e.code === 'ENOENT' ? [] : Promise.reject(e)));
+    for (const file of files) {
+        const startedAt = reportFileTime(file);
+        if (startedAt !== null && now - startedAt > reportDays * DAY_MS) await fs.rm(path.join(dir, file), { force: true });
+    }
+}
+
+/**
+ * Writes the report to `<dir>/<startedAt>-<kind>.json`, appends its summary
+ * to the rolling history (dropping runs older than `historyDays`) and
+ * removes report files older than `reportDays`.
+ *
+ * @param {object} report from `buildRunReport`
+ * @param {{ dir: string, historyPath: string, historyDays: number, reportDays: number }} settings
+ * @return {Promise<string>} the report file
+ */
+export async function saveRunReport(report, { dir, historyPath, historyDays, reportDays }, now = Date.now()) {
+    const file = path.join(dir, reportFileName(report));
+    await writeJsonAtomic(file, report);
+    const runs = (await readRunHistory(historyPath)).filter(run => now - Date.parse(run.startedAt) <= historyDays * DAY_MS);
+    runs.push(reportSummary(report, file));
+    await writeJsonAtomic(historyPath, { version: 1, runs });
+    await pruneReports(dir, reportDays, now);
+    return file;
+}
+
+function dayInZone(ms, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit', timeZone }).format(new Date(ms));
+}
+
+/**
+ * Totals of the history per day (`YYYY-MM-DD`) or month (`YYYY-MM`) in
+ * `timeZone`, newest first.
+ *
+ * @param {Array<object>} runs from `readRunHistory`
+ * @param {{ by?: 'day'|'month', timeZone?: string }} [options]
+ */
+export function runTotals(runs, { by = 'day', timeZone = 'Asia/Seoul' } = {}) {
+    const periods = new Map();
+    for (const run of runs) {
+        const day = dayInZone(Date.parse(run.startedAt), timeZone);
+        const period = by === 'month' ? day.slice(0, 7) : day;
+        if (!periods.has(period)) {
+            periods.set(period, { period, runs: 0, sent: 0, skipped: 0, failed: 0, deliveries: 0, retries: 0, ...emptyUsage() });
+        }
+        const totals = periods.get(period);
+        totals.runs += 1;
+        for (const key of ['sent', 'skipped', 'failed', 'deliveries', 'retries']) totals[key] += run[key] || 0;
+        addUsage(totals, run.usage);
+    }
+    return [...periods.values()].map(roundUsage).sort((a, b) => b.period.localeCompare(a.period));
+}
+
+/**
+ * Plain-text body of the operator alert for a run whose letters failed or
+ * were skipped.
+ *
+ * @param {object} report from `buildRunReport`
+ * @param {string} file the saved report
+ * @param {string[]} statuses the letter statuses to list
+ */
+export function renderAlertText(report, file, statuses) {
+    const letters = report.letters.filter(l => statuses.includes(l.status));
+    const { sent, skipped, failed } = report.stats;
+    return [
+        `Letter translator ${report.kind} started ${report.startedAt}${report.dryRun ? ' (dry run)' : ''}`,
+        `${sent} sent, ${skipped} skipped, ${failed} failed`,
+        '',
+        ...letters.map(l => `${l.status.padEnd(8)} ${l.source}/${l.id}  ${l.subject || '(No Subject)'}\n         ${l.reason || '(no reason)'}`),
+        '',
+        `Report: ${file}`,
+    ].join('\n');
+}
@@ -0,0 +1,148 @@
+import { parse } from 'parse5';
+
+// 통째로 지우는 능동 콘텐츠
+const ACTIVE_TAGS = new Set(['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'form', 'portal']);
+// 값이 URL 인 속성
+const URL_ATTRS = new Set(['href', 'src', 'action', 'formaction', 'background', 'poster', 'cite', 'longdesc', 'xlink:href', 'data']);
+const DANGEROUS_ATTRS = new Set(['srcdoc', 'formaction']);
+const SCRIPT_URL = /^\s*(javascript|vbscript|livescript):/i;
+const INLINE_IMAGE = /^data:image\/(png|gif|jpe?g|webp);base64,/i;
+const CSS_URL = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+// url() 없이 문자열만 쓰는 @import "https://..."
+const CSS_IMPORT = /@import\s*(['"])(.*?)\1/gi;
+const CSS_ACTIVE = /expression\s*\(|javascript:|behavior\s*:|-moz-binding/i;
+
+function normalizeUrl(url) {
+    return (url || '').trim();
+}
+
+function srcsetUrls(value) {
+    return value.split(',').map(c => c.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+const codePoint = n => String.fromCodePoint(n > 0 && n <= 0x10ffff ? n : 0xfffd);
+
+// CSS 이스케이프(\69 mport, u\72l(...))로 감춘 URL 도 찾도록 풀어서 본다
+function unescapeCss(css) {
+    return css.replace(/\\([0-9a-f]{1,6})\s?|\\(.)/gi, (_, hex, ch) => (hex ? codePoint(parseInt(hex, 16)) : ch));
+}
+
+// 주석(expr/**/ession)과 이스케이프(expr\65ssion)를 걷어 낸, 브라우저가 읽는 그대로의 CSS
+function plainCss(css) {
+    return unescapeCss(css.replace(/\/\*[\s\S]*?(\*\/|$)/g, ''));
+}
+
+function cssUrls(css) {
+    const plain = plainCss(css);
+    return [...plain.matchAll(CSS_URL), ...plain.matchAll(CSS_IMPORT)].map(m => m[2]);
+}
+
+const isActiveCss = css => CSS_ACTIVE.test(plainCss(css));
+
+function walkElements(node, visit) {
+    for (const child of node.childNodes || []) {
+        if (!child.tagName) continue;
+        if (visit(child) === false) continue;
+        walkElements(child, visit);
+        if (child.content) walkElements(child.content, visit);
+    }
+}
+
+/**
+ * Collects every URL the source email points at (href/src/srcset and other
+ * URL attributes, CSS url()), plus bare links in plain text bodies. These
+ * are the only targets allowed in the translated output.
+ *
+ * @param {{ html?: string, text?: string }} source
+ * @return {Set<string>}
+ */
+export function collectSourceUrls({ html = '', text = '' }) {
+    const urls = new Set();
+    if (html) {
+        walkElements(parse(html), el => {
+            for (const attr of el.attrs || []) {
+                if (URL_ATTRS.has(attr.name)) urls.add(normalizeUrl(attr.value));
+                else if (attr.name === 'srcset') srcsetUrls(attr.value).forEach(u => urls.add(normalizeUrl(u)));
+                else if (attr.name === 'style') cssUrls(attr.value).forEach(u => urls.add(normalizeUrl(u)));
+            }
+            if (el.tagName === 'style') {
+                const css = (el.childNodes || []).map(n => n.value || '').join('');
+                cssUrls(css).forEach(u => urls.add(normalizeUrl(u)));
+            }
+        });
+    }
+    // 문장 끝 구두점은 URL 에서 뺀다
+    for (const m of text.matchAll(/https?:\/\/[^\s<>"')\]]+/g)) urls.add(normalizeUrl(m[0].replace(/[.,;:!?]+$/, '')));
+    urls.delete('');
+    return urls;
+}
+
+/**
+ * Strips active content from generated HTML and removes any URL that is not
+ * in `allowedUrls`. Edits are spliced at source offsets, so the rest of the
+ * markup is untouched. Every change is reported in `issues`.
+ *
+ * @param {string} html
+ * @param {{ allowedUrls: Set<string> }} options
+ * @return {{ html: string, issues: Array<{ type: string, detail: string }> }}
+ */
+export function sanitizeHtml(html, { allowedUrls }) {
+    const doc = parse(html, { sourceCodeLocationInfo: true });
+    const edits = [];
+    const issues = [];
+
+    const isAllowed = (url, attrName) => {
+        const u = normalizeUrl(url);
+        if (!u || u.startsWith('#')) return true;
+        if (attrName !== 'href' && INLINE_IMAGE.test(u)) return true;
+        return allowedUrls.has(u);
+    };
+    const removeRange = (loc, type, detail) => {
+        edits.push({ start: loc.startOffset, end: loc.endOffset });
+        issues.push({ type, detail });
+    };
+
+    walkElements(doc, el => {
+        const loc = el.sourceCodeLocation;
+        if (!loc) return true;
+        const isRefresh = el.tagName === 'meta' && (el.attrs || []).some(a => a.name === 'http-equiv' && /refresh/i.test(a.value));
+        if (ACTIVE_TAGS.has(el.tagName) || isRefresh) {
+            removeRange(loc, 'active-content', `<${el.tagName}>`);
+            return false;
+        }
+        if (el.tagName === 'style') {
+            const css = (el.childNodes || []).map(n => n.value || '').join('');
+            const bad = isActiveCss(css) ? 'active CSS' : cssUrls(css).find(u => !isAllowed(u, 'style'));
+            if (bad) {
+                removeRange(loc, bad === 'active CSS' ? 'active-content' : 'unknown-url', `<style> ${bad}`);
+                return false;
+            }
+        }
+        for (const attr of el.attrs || []) {
+            const attrLoc = loc.attrs?.[attr.name];
+            if (!attrLoc) continue;
+            const where = `<${el.tagName} ${attr.name}>`;
+            if (/^on/i.test(attr.name) || DANGEROUS_ATTRS.has(attr.name)) {
+                removeRange(attrLoc, 'event-handler', where);
+            } else if (URL_ATTRS.has(attr.name) && SCRIPT_URL.test(attr.value)) {
+                removeRange(attrLoc, 'script-url', `${where} ${attr.value.slice(0, 60)}`);
+            } else if (URL_ATTRS.has(attr.name) && !isAllowed(attr.value, attr.name)) {
+                removeRange(attrLoc, 'unknown-url', `${where} ${attr.value}`);
+            } else if (attr.name === 'srcset' && srcsetUrls(attr.value).some(u => !isAllowed(u, 'srcset'))) {
+                removeRange(attrLoc, 'unknown-url', `${where} ${attr.value}`);
+            } else if (attr.name === 'style' && isActiveCss(attr.value)) {
+                removeRange(attrLoc, 'active-content', `${where} ${attr.value.slice(0, 60)}`);
+            } else if (attr.name === 'style' && cssUrls(attr.value).some(u => !isAllowed(u, 'style'))) {
+                removeRange(attrLoc, 'unknown-url', `${where} ${attr.value.slice(0, 60)}`);
+            }
+        }
+        return true;
+    });
+
+    edits.sort((a, b) => b.start - a.start);
+    let out = html;
+    for (const e of edits) {
+        out = out.slice(0, e.start) + out.slice(e.end);
+    }
+    return { html: out, issues };
+}
@@ -0,0 +1,62 @@
+// 모델 JSON 응답 검증용. responseJsonSchema 로 보내는 것과 같은 JSON Schema 부분집합만 다룬다
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(expected, actual) {
+    if (expected === actual) return true;
+    return expected === 'number' && actual === 'integer';
+}
+
+/**
+ * Validates a value against a small JSON Schema subset: `type`, `properties`,
+ * `required`, `items`, `minItems`, `maxItems`, `minLength` and `enum`.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [at] path used in error messages
+ * @return {string[]} empty when the value matches
+ */
+export function validateSchema(schema, value, at = '$') {
+    const errors = [];
+    const actual = typeOf(value);
+    if (schema.type && !matchesType(schema.type, actual)) {
+        return [`${at}: expected ${schema.type}, got ${actual}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${at}: shorter than ${schema.minLength}`);
+    }
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+        }
+    }
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}.${key}: required`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validateSchema(sub, value[key], `${at}.${key}`));
+        }
+    }
+    return errors;
+}
+
+// 모델 쪽 responseJsonSchema 가 모르는 키워드(minLength)는 로컬 검증에만 쓰고 빼서 보낸다
+const LOCAL_ONLY_KEYWORDS = new Set(['minLength']);
+
+export function toModelSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toModelSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => !LOCAL_ONLY_KEYWORDS.has(key))
+        .map(([key, value]) => [key, toModelSchema(value)]));
+}
@@ -0,0 +1,103 @@
+import fs from 'node:fs/promises';
+import { LEARNING_LEVELS, TRANSLATION_MODES } from './config.js';
+import { writeJsonAtomic } from './ledger.js';
+
+const EMAIL = /^[^\s@<>,]+@[^\s@<>,]+\.[^\s@<>,]+$/;
+
+export class SubscriberError extends Error {}
+
+/**
+ * Normalizes one subscriber. `mode` null means the source's own mode;
+ * `sources` limits the subscriber to some source ids (empty = every source).
+ */
+export function normalizeSubscriber({ email, name = '', level = 'intermediate', mode = null, sources = [], optOut = false }) {
+    if (typeof email !== 'string' || !EMAIL.test(email.trim())) throw new SubscriberError(`invalid subscriber email "${email}"`);
+    const address = email.trim().toLowerCase();
+    if (!LEARNING_LEVELS.includes(level)) {
+        throw new SubscriberError(`${address}: "level" must be one of ${LEARNING_LEVELS.join(', ')}`);
+    }
+    if (mode !== null && !TRANSLATION_MODES.includes(mode)) {
+        throw new SubscriberError(`${address}: "mode" must be one of ${TRANSLATION_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(sources)) throw new SubscriberError(`${address}: "sources" must be an array of source ids`);
+    return { email: address, name: String(name || ''), level, mode, sources, optOut: Boolean(optOut) };
+}
+
+/**
+ * Opens the subscriber list. Without the file every letter goes to the
+ * account owner only (the behaviour before subscribers existed); a
+ * malformed file throws so nobody is silently dropped.
+ *
+ * @param {string} filePath
+ */
+export default async function openSubscribers(filePath) {
+    let subscribers = [];
+    let exists = true;
+    try {
+        const content = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        subscribers = (content.subscribers || []).map(normalizeSubscriber);
+    } catch (e) {
+        if (e.code === 'ENOENT') exists = false;
+        else if (e instanceof SubscriberError) throw new SubscriberError(`${filePath}: ${e.message}`);
+        else throw new SubscriberError(`Cannot read subscribers ${filePath}: ${e.message}`);
+    }
+    const emails = subscribers.map(s => s.email);
+    const dup = emails.find((email, i) => emails.indexOf(email) !== i);
+    if (dup) throw new SubscriberError(`${filePath}: duplicate subscriber "${dup}"`);
+
+    const save = () => writeJsonAtomic(filePath, { version: 1, subscribers });
+    const find = email => subscribers.find(s => s.email === email.trim().toLowerCase()) || null;
+
+    return {
+        path: filePath,
+        all() {
+            return [...subscribers];
+        },
+        get: find,
+        // 수신 거부하지 않았고 이 소스를 받는 구독자. 파일이 없으면 owner 한 명
+        forSource(source, { owner }) {
+            if (!exists) return [normalizeSubscriber({ email: owner })];
+            return subscribers.filter(s => !s.optOut && (s.sources.length === 0 || s.sources.includes(source.id)));
+        },
+        async upsert(subscriber) {
+            const normalized = normalizeSubscriber(subscriber);
+            const i = subscribers.findIndex(s => s.email === normalized.email);
+            if (i >= 0) subscribers[i] = normalized;
+            else subscribers.push(normalized);
+            exists = true;
+            await save();
+            return { subscriber: normalized, replaced: i >= 0 };
+        },
+        async remove(email) {
+            const before = subscribers.length;
+            subscribers = subscribers.filter(s => s.email !== email.trim().toLowerCase());
+            if (subscribers.length !== before) await save();
+            return subscribers.length !== before;
+        },
+        async setOptOut(email, optOut) {
+            const subscriber = find(email);
+            if (!subscriber) return null;
+            subscriber.optOut = optOut;
+            await save();
+            return subscriber;
+        },
+    };
+}
+
+/**
+ * Groups recipients by what they receive: one variant per mode and level,
+ * so each variant is translated once and sent to everyone who wants it.
+ * `override` (the CLI `--mode`) replaces every subscriber's mode.
+ *
+ * @return {Array<{ key: string, mode: string, level: string, recipients: string[] }>}
+ */
+export function groupVariants(subscribers, { mode, override }) {
+    const variants = new Map();
+    for (const s of subscribers) {
+        const variantMode = override || s.mode || mode;
+        const key = `${variantMode}:${s.level}`;
+        if (!variants.has(key)) variants.set(key, { key, mode: variantMode, level: s.level, recipients: [] });
+        variants.get(key).recipients.push(s.email);
+    }
+    return [...variants.values()];
+}
@@ -0,0 +1,95 @@
+import { escapeHtml } from './textUtils.js';
+
+const VOCAB_ENTRY_SCHEMA = {
+    type: 'object',
+    properties: {
+        word: { type: 'string', minLength: 1 },
+        ipa: { type: 'string', description: 'IPA pronunciation wrapped in slashes, e.g. /ˈwɜːd/' },
+        definition: { type: 'string', minLength: 1, description: 'English–English definition' },
+        example: { type: 'string', description: 'Example sentence using the word' },
+    },
+    required: ['word', 'ipa', 'definition', 'example'],
+};
+
+const PATTERN_SCHEMA = {
+    type: 'object',
+    properties: {
+        pattern: { type: 'string', minLength: 1 },
+        example: { type: 'string', minLength: 1 },
+    },
+    required: ['pattern', 'example'],
+};
+
+// DOM 모드처럼 번역은 따로 하고 학습 블록만 필요한 경우
+export const STUDY_NOTES_SCHEMA = {
+    type: 'object',
+    properties: {
+        vocabulary: { type: 'array', items: VOCAB_ENTRY_SCHEMA, minItems: 1 },
+        patterns: { type: 'array', items: PATTERN_SCHEMA, minItems: 1 },
+    },
+    required: ['vocabulary', 'patterns'],
+};
+
+export const TEACHING_SCHEMA = {
+    type: 'object',
+    properties: {
+        articles: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string', minLength: 1 },
+                    paragraphs: { type: 'array', items: { type: 'string' }, minItems: 1 },
+                    vocabulary: STUDY_NOTES_SCHEMA.properties.vocabulary,
+                    patterns: STUDY_NOTES_SCHEMA.properties.patterns,
+                },
+                required: ['title', 'paragraphs', 'vocabulary', 'patterns'],
+            },
+        },
+    },
+    required: ['articles'],
+};
+
+// 검증을 통과한 데이터 안의 모든 문자열 (한글 비율 검사 등에 사용)
+export function teachingText(value) {
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.map(teachingText).join('\n');
+    if (value && typeof value === 'object') return Object.values(value).map(teachingText).join('\n');
+    return '';
+}
+
+export function renderStudyNotes({ vocabulary, patterns }) {
+    const vocabItems = vocabulary.map(v => [
+        '<li>',
+        `<span class="word">${escapeHtml(v.word)}</span> <span class="ipa">${escapeHtml(v.ipa)}</span>`,
+        ` — <span class="def">${escapeHtml(v.definition)}</span>`,
+        v.example ? `<br/><span class="ex">${escapeHtml(v.example)}</span>` : '',
+        '</li>',
+    ].join(''));
+    const patternItems = patterns.map(p =>
+        `<li><span class="pattern">${escapeHtml(p.pattern)}</span> — <span class="ex">${escapeHtml(p.example)}</span></li>`);
+    return [
+        '<h3>Vocabulary</h3>',
+        `<ul class="vocab-list">${vocabItems.join('')}</ul>`,
+        '<h3>Sentence Patterns</h3>',
+        `<ul class="patterns">${patternItems.join('')}</ul>`,
+    ].join('\n');
+}
+
+/**
+ * Renders validated teaching data (see TEACHING_SCHEMA) into the email body
+ * fragment: one `section.article` per article, in the original order.
+ *
+ * @param {{ articles: Array<object> }} teaching
+ * @return {string}
+ */
+export function renderTeachingHtml({ articles }) {
+    return articles.map(a => [
+        '<section class="article">',
+        `<h2 class="article-title">${escapeHtml(a.title)}</h2>`,
+        `<div class="article-body">${a.paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('')}</div>`,
+        renderStudyNotes(a),
+        '</section>',
+    ].join('\n')).join('\n');
+}
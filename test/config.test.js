@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import loadConfig, { ConfigError } from '../config.js';
+
+describe('loadConfig limits', () => {
+    const tempDirs = [];
+    after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+    async function load(limits) {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translator-test-'));
+        tempDirs.push(dir);
+        const file = path.join(dir, 'translator.config.json');
+        await fs.writeFile(file, JSON.stringify({ limits }));
+        return loadConfig(file);
+    }
+
+    it('merges each API block over its defaults', async () => {
+        const { limits } = await load({ model: { rpm: 10 } });
+        assert.deepEqual(limits.model, { concurrency: 2, rpm: 10, retries: 4, baseDelayMs: 1000, maxDelayMs: 30000 });
+        assert.equal(limits.gmail.rpm, 240);
+    });
+
+    it('rejects invalid values and unknown APIs', async () => {
+        for (const [limits, message] of [
+            [{ model: { concurrency: 0 } }, /limits\.model: "concurrency" must be a positive integer/],
+            [{ gmail: { rpm: '240' } }, /limits\.gmail: "rpm" must be a non-negative integer/],
+            [{ model: { retries: -1 } }, /limits\.model: "retries" must be a non-negative integer/],
+            [{ model: { baseDelayMs: 5000, maxDelayMs: 1000 } }, /"maxDelayMs" must not be less than "baseDelayMs"/],
+            [{ gemini: { rpm: 10 } }, /unknown API "gemini"/],
+            [{ model: 5 }, /limits\.model: must be an object/],
+            [[], /"limits" must be an object/],
+        ]) {
+            await assert.rejects(load(limits), err => err instanceof ConfigError && message.test(err.message), JSON.stringify(limits));
+        }
+    });
+});
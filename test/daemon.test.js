@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import loadConfig from '../config.js';
+import runDaemon from '../daemon.js';
+import openLedger from '../ledger.js';
+import { harnessOptions } from '../replay.js';
+
+// replay.test.js 와 같은 고정 데이터 (스텁 모델, dom 모드로 녹화한 편지 세 통)
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'newneek');
+const HOUR_MS = 60 * 60 * 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translator-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+// 폴링 한 번. history 는 messagesAdded 로 newIds 를 돌려주고, 원장과 동기화 상태는 ledger, sync 로 시작한다
+async function pollOnce({ newIds = [], ledger = {}, sync = {} } = {}) {
+    const dir = await tempDir();
+    const outDir = path.join(dir, 'out');
+    const config = await loadConfig(path.join(FIXTURES, 'no-config.json'));
+    config.glossaryPath = path.join(FIXTURES, 'no-glossary.json');
+    config.delivery.subscribersPath = path.join(FIXTURES, 'no-subscribers.json');
+    config.daemon = { ...config.daemon, statusPath: path.join(dir, 'status.json'), syncPath: path.join(dir, 'sync.json') };
+    await fs.writeFile(config.daemon.syncPath, JSON.stringify({ historyId: '100', ...sync }));
+    await fs.writeFile(path.join(dir, 'ledger.json'), JSON.stringify({ version: 1, messages: ledger }));
+
+    const { options, scratch } = await harnessOptions({ config, replay: FIXTURES, outDir });
+    tempDirs.push(scratch);
+    const history = {
+        async list() {
+            return { data: { historyId: '101', history: [{ messagesAdded: newIds.map(id => ({ message: { id, labelIds: ['INBOX'] } })) }] } };
+        },
+    };
+    const gmail = { users: { ...options.clients.gmail.users, history } };
+    const status = await runDaemon(null, {
+        ...options,
+        ledger: await openLedger(path.join(dir, 'ledger.json')),
+        clients: { ...options.clients, gmail },
+        htmlMode: 'dom',
+        once: true,
+    });
+    const sent = await fs.readdir(outDir).catch(() => []);
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'ledger.json'), 'utf-8')).messages;
+    const state = JSON.parse(await fs.readFile(config.daemon.syncPath, 'utf-8'));
+    return { status, sent, ledger: saved, state };
+}
+
+describe('runDaemon', () => {
+    it('retries failed letters the source query still finds, once retryFailedMinutes have passed', async () => {
+        const { status, sent, ledger } = await pollOnce({
+            ledger: {
+                m1: { source: 'newneek', status: 'failed', reason: 'quality gate fail', attempts: 1, updatedAt: ago(5 * 60 * 1000) },
+                m3: { source: 'newneek', status: 'failed', reason: 'quality gate fail', attempts: 1, updatedAt: ago(2 * HOUR_MS) },
+            },
+        });
+        assert.equal(status.lastPoll.sent, 1);
+        assert.equal(sent.length, 1);
+        assert.deepEqual([ledger.m1.status, ledger.m3.status, ledger.m3.attempts], ['failed', 'sent', 2]);
+    });
+
+    it('matches new messages the search did not find yet again on later polls, for an hour', async () => {
+        // 검색(녹화된 m1–m3)에 없는 m4 는 남겨 두고, 지난 폴링에서 남긴 m3 는 이번에 잡혀서 처리된다
+        const { sent, ledger, state } = await pollOnce({
+            newIds: ['m4'],
+            sync: { unmatched: { m3: ago(10 * 60 * 1000), m5: ago(2 * HOUR_MS) } },
+        });
+        assert.equal(sent.length, 1);
+        assert.equal(ledger.m3.status, 'sent');
+        assert.deepEqual(Object.keys(state.unmatched), ['m4']);
+        assert.equal(state.historyId, '101');
+    });
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { after, describe, it } from 'node:test';
+import { acquireLock, LockError, withLock } from '../lock.js';
+
+describe('acquireLock', () => {
+    const tempDirs = [];
+    after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+    async function lockPath() {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translator-test-'));
+        tempDirs.push(dir);
+        return path.join(dir, 'data', 'translator.lock');
+    }
+
+    it('writes the pid, refuses a second holder and frees the file on release', async () => {
+        const file = await lockPath();
+        const release = await acquireLock(file, { command: 'run' });
+        assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(file, 'utf-8'))), ['pid', 'command', 'since']);
+        await assert.rejects(acquireLock(file, { command: 'digest', waitMs: 0 }), err => err instanceof LockError && /held by run \(pid \d+\)/.test(err.message));
+        await release();
+        await assert.rejects(fs.access(file));
+        assert.equal(await withLock(file, 'digest', async () => 'done'), 'done');
+    });
+
+    it('removes a lock left by a process that is gone', async () => {
+        const file = await lockPath();
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        // Linux 의 최대 pid(2^22)보다 커서 살아 있을 수 없는 pid
+        await fs.writeFile(file, JSON.stringify({ pid: 2 ** 22 + 1, command: 'daemon', since: '2026-10-19T00:00:00.000Z' }));
+        const release = await acquireLock(file, { waitMs: 0 });
+        assert.equal(JSON.parse(await fs.readFile(file, 'utf-8')).pid, process.pid);
+        await release();
+    });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import buildMimeMessage, { foldHeader, htmlToText } from '../mime.js';
+
+// =?UTF-8?B?...?= 단어들을 풀어 원래 값으로
+function decodeHeader(folded) {
+    const value = folded.replace(/^[^:]+:/, '').replace(/\r\n /g, ' ').trim();
+    return value.replace(/=\?UTF-8\?B\?([^?]*)\?=\s*/g, (_, b64) => Buffer.from(b64, 'base64').toString('utf-8'));
+}
+
+describe('foldHeader', () => {
+    it('keeps short ASCII headers on one line', () => {
+        assert.equal(foldHeader('Subject', 'Hello there'), 'Subject: Hello there');
+    });
+
+    it('folds long ASCII headers at spaces within 78 columns', () => {
+        const value = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+        const folded = foldHeader('Subject', value);
+        assert.ok(folded.includes('\r\n '));
+        folded.split('\r\n').forEach(line => assert.ok(line.length <= 78, line));
+        assert.equal(folded.replace(/^Subject: /, '').replace(/\r\n /g, ' '), value);
+    });
+
+    it('encodes non-ASCII values as encoded-words without splitting characters', () => {
+        const value = '[NEWNEEK-EN] 오늘의 뉴닉: 경제, 날씨, 그리고 아주 긴 제목이 이어집니다 🙂';
+        const folded = foldHeader('Subject', value);
+        folded.split('\r\n').forEach(line => assert.ok(line.length <= 78, line));
+        assert.equal(decodeHeader(folded), value);
+    });
+
+    it('encodes only the display names in address headers', () => {
+        const folded = foldHeader('To', '"뉴닉, 편집부" <letter@newneek.co>, 지우 <jiwoo@example.com>, sam@example.com');
+        assert.match(folded, / <letter@newneek\.co>,/);
+        assert.match(folded, / <jiwoo@example\.com>,/);
+        assert.match(folded, / sam@example\.com$/);
+        folded.split('\r\n').forEach(line => assert.ok(line.length <= 78, line));
+        assert.equal(decodeHeader(folded), '뉴닉, 편집부<letter@newneek.co>, 지우<jiwoo@example.com>, sam@example.com');
+    });
+});
+
+describe('buildMimeMessage', () => {
+    const base = { to: 'you@example.com', from: 'me@example.com', subject: '제목', bodyText: 'text', bodyHtml: '<p>html</p>' };
+
+    it('builds multipart/alternative with base64 parts', () => {
+        const eml = buildMimeMessage({ ...base, date: new Date('2026-10-19T00:00:00Z'), messageId: '<x@example.com>' });
+        assert.match(eml, /^MIME-Version: 1\.0\r\n/);
+        assert.match(eml, /\r\nDate: Mon, 19 Oct 2026 00:00:00 \+0000\r\n/);
+        assert.match(eml, /\r\nMessage-ID: <x@example\.com>\r\n/);
+        assert.match(eml, /Content-Type: multipart\/alternative; boundary="=_[0-9a-f]{24}"/);
+        assert.ok(eml.includes(Buffer.from('<p>html</p>').toString('base64')));
+        assert.ok(!/\r\nBcc:/.test(eml));
+    });
+
+    it('adds threading headers, Bcc and attachments in multipart/mixed', () => {
+        const eml = buildMimeMessage({
+            ...base,
+            bcc: ['a@example.com', 'b@example.com'],
+            inReplyTo: '<orig@newneek.co>',
+            references: ['<r0@newneek.co>', '<orig@newneek.co>'],
+            attachments: [
+                { filename: 'original.eml', contentType: 'message/rfc822', content: 'Subject: hi\n\nbody' },
+                { filename: '단어.csv', contentType: 'text/csv; charset="UTF-8"', content: 'term\n' },
+            ],
+        });
+        assert.match(eml, /\r\nBcc: a@example\.com, b@example\.com\r\n/);
+        assert.match(eml, /\r\nIn-Reply-To: <orig@newneek\.co>\r\n/);
+        assert.match(eml, /\r\nReferences: <r0@newneek\.co> <orig@newneek\.co>\r\n/);
+        assert.match(eml, /Content-Type: multipart\/mixed/);
+        assert.match(eml, /Content-Type: message\/rfc822\r\nContent-Transfer-Encoding: 7bit\r\nContent-Disposition: attachment; filename="original\.eml"\r\n\r\nSubject: hi\r\n\r\nbody/);
+        assert.match(eml, /filename\*=UTF-8''%EB%8B%A8%EC%96%B4\.csv/);
+    });
+
+    it('keeps the bytes of an 8bit or long-lined original in a base64 attachment', () => {
+        // EUC-KR 본문 ("안녕") 과 998자를 넘는 줄
+        const eucKr = Buffer.concat([Buffer.from('Subject: hi\r\nContent-Type: text/plain; charset=euc-kr\r\n\r\n'), Buffer.from([0xbe, 0xc8, 0xb3, 0xe7])]);
+        const longLine = Buffer.from(`Subject: hi\r\n\r\n${'x'.repeat(1200)}`);
+        for (const content of [eucKr, longLine]) {
+            const eml = buildMimeMessage({ ...base, attachments: [{ filename: 'original.eml', contentType: 'message/rfc822', content }] });
+            assert.ok(!eml.includes('message/rfc822'));
+            const [, b64] = eml.match(/Content-Type: application\/octet-stream\r\nContent-Transfer-Encoding: base64\r\nContent-Disposition: attachment; filename="original\.eml"\r\n\r\n([A-Za-z0-9+/=\r\n]+)/);
+            assert.deepEqual(Buffer.from(b64.replace(/\r\n/g, ''), 'base64'), content);
+            eml.split('\r\n').forEach(line => assert.ok(line.length <= 998));
+        }
+    });
+});
+
+describe('htmlToText', () => {
+    it('keeps paragraphs, line breaks and list items', () => {
+        const html = '<html><head><style>p{}</style></head><body><h2>Title</h2><p>One<br>Two</p><ul><li>a</li><li>b</li></ul></body></html>';
+        assert.equal(htmlToText(html), 'Title\n\nOne\nTwo\n\n- a\n- b');
+    });
+});
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import loadConfig from '../config.js';
+import { buildQuery, extractBodies, isInWindow, translateMessage } from '../pipeline.js';
+import createProvider from '../providers.js';
+import createTranslator from '../translate.js';
+
+const b64 = s => Buffer.from(s).toString('base64url');
+const kst = hhmm => Date.parse(`2026-10-19T${hhmm}:00+09:00`);
+
+describe('extractBodies', () => {
+    it('reads a single-part HTML body', () => {
+        const payload = { mimeType: 'text/html; charset=UTF-8', body: { data: b64('<p>안녕</p>') } };
+        assert.deepEqual(extractBodies(payload), { textPlain: '', textHtml: '<p>안녕</p>' });
+    });
+
+    it('reads a single-part plain body', () => {
+        const payload = { mimeType: 'text/plain', body: { data: b64('첫 줄\n둘째 줄') } };
+        assert.deepEqual(extractBodies(payload), { textPlain: '첫 줄\n둘째 줄', textHtml: '' });
+    });
+
+    it('walks nested multipart and skips attachments', () => {
+        const payload = {
+            mimeType: 'multipart/mixed',
+            body: { size: 0 },
+            parts: [
+                { mimeType: 'multipart/alternative', body: { size: 0 }, parts: [
+                    { mimeType: 'text/plain', body: { data: b64('본문') } },
+                    { mimeType: 'text/html', body: { data: b64('<b>본문</b>') } },
+                ] },
+                { mimeType: 'image/png', filename: 'logo.png', body: { attachmentId: 'a1', size: 10 } },
+            ],
+        };
+        assert.deepEqual(extractBodies(payload), { textPlain: '본문', textHtml: '<b>본문</b>' });
+    });
+
+    it('returns empty bodies for a payload without text parts', () => {
+        assert.deepEqual(extractBodies({ mimeType: 'multipart/mixed', parts: [] }), { textPlain: '', textHtml: '' });
+        assert.deepEqual(extractBodies(undefined), { textPlain: '', textHtml: '' });
+    });
+});
+
+describe('isInWindow', () => {
+    const morning = { start: '05:00', end: '07:59', timeZone: 'Asia/Seoul' };
+
+    it('passes everything without a window', () => {
+        assert.equal(isInWindow(kst('23:00'), null), true);
+    });
+
+    it('includes both ends of the window', () => {
+        assert.equal(isInWindow(kst('05:00'), morning), true);
+        assert.equal(isInWindow(kst('07:59'), morning), true);
+        assert.equal(isInWindow(kst('08:00'), morning), false);
+        assert.equal(isInWindow(kst('04:59'), morning), false);
+    });
+
+    it('uses the window time zone, not UTC', () => {
+        // 06:30 KST 는 UTC 로 전날 21:30
+        assert.equal(isInWindow(Date.parse('2026-10-18T21:30:00Z'), morning), true);
+        assert.equal(isInWindow(kst('06:30'), { ...morning, timeZone: 'UTC' }), false);
+    });
+
+    it('handles windows across midnight', () => {
+        const night = { start: '22:00', end: '02:00', timeZone: 'Asia/Seoul' };
+        assert.equal(isInWindow(kst('23:30'), night), true);
+        assert.equal(isInWindow(kst('01:00'), night), true);
+        assert.equal(isInWindow(kst('12:00'), night), false);
+    });
+});
+
+describe('buildQuery', () => {
+    const source = { query: 'from:newneek.co', newerThan: '1d' };
+
+    it('uses newerThan without a range', () => {
+        assert.equal(buildQuery(source), 'from:newneek.co newer_than:1d');
+    });
+
+    it('turns a KST date range into epoch bounds, until inclusive', () => {
+        const after = Date.parse('2026-10-01T00:00:00+09:00') / 1000;
+        assert.equal(buildQuery(source, { since: '2026-10-01', until: '2026-10-01' }), `from:newneek.co after:${after} before:${after + 86400}`);
+    });
+
+    it('rejects invalid dates', () => {
+        assert.throws(() => buildQuery(source, { since: '2026-13-01' }), /Invalid date/);
+    });
+});
+
+describe('translateMessage', () => {
+    const html = '<html><head></head><body><h2>첫 기사</h2><p>뉴닉이 전하는 소식입니다</p><h2>둘째 기사</h2><p>오늘의 경제 소식</p></body></html>';
+    const message = { id: 'm1', threadId: 't1', payload: { mimeType: 'text/html', headers: [{ name: 'Subject', value: '제목' }], body: { data: b64(html) } } };
+
+    it('builds e2e teaching study notes from schema data, one block per article', async () => {
+        const [source] = (await loadConfig('no-such-config.json')).sources;
+        const translator = createTranslator(createProvider({ provider: 'stub' }));
+        const letter = await translateMessage(message, { translator, source: { ...source, mode: 'teaching' }, htmlMode: 'e2e' });
+        assert.equal(letter.ok, true, letter.failReason);
+        assert.deepEqual(letter.teaching.articles.map(a => [a.title, a.paragraphs]), [
+            ['cheot gisa', ['nyuniki jeonhaneun sosikipnida']],
+            ['duljjae gisa', ['oneului gyeongje sosik']],
+        ]);
+        assert.equal(letter.bodyHtml.match(/<div class="study-notes">/g).length, 2);
+        assert.match(letter.bodyHtml, /<p>nyuniki jeonhaneun sosikipnida<\/p><div class="study-notes">/);
+    });
+
+    it('marks output that fails the strict HTML check as unsafe, with the sanitizer reason', async () => {
+        const [source] = (await loadConfig('no-such-config.json')).sources;
+        const stub = createTranslator(createProvider({ provider: 'stub' }));
+        // 원문에 없는 링크를 끼워 넣는 모델
+        const translateHtmlEndToEnd = async (...args) => {
+            const out = await stub.translateHtmlEndToEnd(...args);
+            return { ...out, html: out.html.replace('</body>', '<a href="https://evil.example/x">x</a></body>') };
+        };
+        const translator = { ...stub, translateHtmlEndToEnd };
+        const letter = await translateMessage(message, { translator, source: { ...source, qualityRetries: 0 }, htmlMode: 'e2e' });
+        assert.equal(letter.ok, false);
+        assert.equal(letter.unsafe, true);
+        assert.match(letter.failReason, /^unsafe HTML: .*evil\.example/);
+    });
+
+    it('fixes glossary terms on the translated side of bilingual plain text only', async () => {
+        const [source] = (await loadConfig('no-such-config.json')).sources;
+        const stub = createTranslator(createProvider({ provider: 'stub' }));
+        // 번역에 원어를 남기는 모델
+        const translateBilingual = async () => ({ articles: [{ title: null, paragraphs: [{ source: '뉴닉이 전하는 소식', target: '뉴닉 brings the news' }], vocabulary: [] }], teaching: null });
+        const translator = { ...stub, glossary: [{ source: '뉴닉', target: 'Newneek' }], translateBilingual };
+        const letter = await translateMessage(message, { translator, source: { ...source, mode: 'bilingual', qualityRetries: 0 } });
+        assert.equal(letter.bodyText, '뉴닉이 전하는 소식\nNewneek brings the news');
+        assert.match(letter.bodyHtml, /뉴닉이 전하는 소식/);
+        assert.doesNotMatch(letter.bodyHtml, /뉴닉 brings/);
+    });
+});
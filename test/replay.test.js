@@ -0,0 +1,246 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it, mock } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import loadConfig from '../config.js';
+import openLedger from '../ledger.js';
+import runPipeline, { openSession } from '../pipeline.js';
+import createProvider from '../providers.js';
+import { harnessOptions, normalizeEml, openFixtures, recordGmail, recordProvider } from '../replay.js';
+
+// test/fixtures/newneek: 스텁 모델(TRANSLATOR_PROVIDER=stub)과 dom 모드로 녹화한 편지 세 통
+//   m1 06:30 KST HTML, m2 07:10 KST multipart (plain + html + 첨부), m3 09:30 KST plain
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'newneek');
+
+// 테스트가 만든 임시 폴더. 끝나면 지운다
+const tempDirs = [];
+
+async function tempDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translator-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+async function testConfig(patchSource = {}) {
+    const config = await loadConfig(path.join(FIXTURES, 'no-config.json'));
+    // 실행 위치의 용어집·구독자 파일이 프롬프트와 받는 사람을 바꾸지 않게 한다
+    config.glossaryPath = path.join(FIXTURES, 'no-glossary.json');
+    config.delivery.subscribersPath = path.join(FIXTURES, 'no-subscribers.json');
+    config.sources = config.sources.map(source => ({ ...source, ...patchSource }));
+    return config;
+}
+
+// 재생 한 번: 결과, 캡처된 .eml (파일 이름 순), 임시 원장·보고서 폴더
+async function replay(dir, { config, htmlMode = 'dom' } = {}) {
+    const outDir = await tempDir();
+    const { options, scratch } = await harnessOptions({ config: config || await testConfig(), replay: dir, outDir });
+    tempDirs.push(scratch);
+    const results = await runPipeline(null, { ...options, htmlMode });
+    const files = (await fs.readdir(outDir)).sort();
+    const emls = await Promise.all(files.map(f => fs.readFile(path.join(outDir, f), 'utf-8')));
+    return { results, files, emls, scratch };
+}
+
+function decodeSubject(eml) {
+    const folded = eml.match(/^Subject:.*(\r\n .*)*/m)[0];
+    return folded.replace(/^Subject:/, '').replace(/\r\n /g, ' ').trim()
+        .replace(/=\?UTF-8\?B\?([^?]*)\?=\s*/g, (_, b64) => Buffer.from(b64, 'base64').toString('utf-8'));
+}
+
+function decodePart(eml, type) {
+    const [, b64] = eml.match(new RegExp(`Content-Type: text/${type}; charset="UTF-8"\r\nContent-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)`));
+    return Buffer.from(b64.replace(/\r\n/g, ''), 'base64').toString('utf-8');
+}
+
+const decodeHtmlPart = eml => decodePart(eml, 'html');
+
+describe('replay', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+    after(async () => {
+        mock.restoreAll();
+        await Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+    });
+
+    it('replays the recorded letters and captures the mail as .eml', async () => {
+        const { results, files, emls } = await replay(FIXTURES);
+        assert.deepEqual(results.map(r => [r.id, r.status]), [['m1', 'sent'], ['m2', 'sent'], ['m3', 'sent']]);
+        assert.deepEqual(files, ['001-me@example.com.eml', '002-me@example.com.eml', '003-me@example.com.eml']);
+        assert.deepEqual(emls.map(decodeSubject), [
+            '[NEWNEEK-EN] oneului nyunik',
+            '[NEWNEEK-EN] meoltipateu pyeonji',
+            '[NEWNEEK-EN] neuteun pyeonji',
+        ]);
+        const m1 = decodeHtmlPart(emls[0]);
+        assert.match(m1, /<a href="https:\/\/newneek\.co\/a">jasehi<\/a>/);
+        assert.match(m1, /123eok won/);
+        assert.match(m1, /Vocabulary/);
+    });
+
+    it('produces the same mail on every replay apart from dates, IDs and boundaries', async () => {
+        const first = await replay(FIXTURES);
+        const second = await replay(FIXTURES);
+        assert.deepEqual(second.emls.map(normalizeEml), first.emls.map(normalizeEml));
+        assert.notEqual(second.emls[0], first.emls[0]);
+    });
+
+    it('applies the source time window', async () => {
+        const window = { start: '05:00', end: '07:59', timeZone: 'Asia/Seoul', action: 'skip' };
+        const config = await testConfig({ window });
+        config.report = { ...config.report, alertTo: 'ops@example.com' };
+        const { results, files, emls } = await replay(FIXTURES, { config });
+        assert.deepEqual(results.map(r => [r.id, r.status, r.reason]), [
+            ['m1', 'sent', ''],
+            ['m2', 'sent', ''],
+            ['m3', 'skipped', 'outside time window'],
+        ]);
+        // 편지 두 통 다음에 건너뛴 편지를 알리는 운영자 알림
+        assert.equal(files[2], '003-ops@example.com.eml');
+        assert.equal(decodeSubject(emls[2]), '[TRANSLATOR-ALERT] 1 skipped');
+        assert.match(decodePart(emls[2], 'plain'), /skipped\s+newneek\/m3 .*\n\s+outside time window/);
+    });
+
+    it('does not alert about skipped letters when alertOn is narrowed to failed', async () => {
+        const window = { start: '05:00', end: '07:59', timeZone: 'Asia/Seoul', action: 'skip' };
+        const config = await testConfig({ window });
+        config.report = { ...config.report, alertOn: ['failed'] };
+        const { files } = await replay(FIXTURES, { config });
+        assert.equal(files.length, 2);
+    });
+
+    it('writes a run report and a history entry', async () => {
+        const { scratch } = await replay(FIXTURES);
+        const history = JSON.parse(await fs.readFile(path.join(scratch, 'run-history.json'), 'utf-8'));
+        assert.equal(history.runs.length, 1);
+        assert.deepEqual([history.runs[0].sent, history.runs[0].failed, history.runs[0].kind], [3, 0, 'run']);
+        const report = JSON.parse(await fs.readFile(history.runs[0].report, 'utf-8'));
+        assert.deepEqual(report.letters.map(l => [l.id, l.status]), [['m1', 'sent'], ['m2', 'sent'], ['m3', 'sent']]);
+        const [m1] = report.letters;
+        assert.deepEqual(Object.keys(m1.timings), ['fetchMs', 'translateMs', 'sendMs', 'recordMs', 'totalMs']);
+        assert.ok(m1.usage.calls > 0);
+        assert.deepEqual(m1.retries, { model: 0, gmail: 0, quality: 0 });
+        assert.ok(m1.quality.checks.length > 0);
+        assert.equal(report.usage.calls, report.letters.reduce((sum, l) => sum + l.usage.calls, 0));
+    });
+
+    it('sends bcc to undisclosed recipients when the owner opted out', async () => {
+        const dir = await tempDir();
+        const config = await testConfig();
+        config.delivery = { method: 'bcc', subscribersPath: path.join(dir, 'subscribers.json') };
+        await fs.writeFile(config.delivery.subscribersPath, JSON.stringify({
+            subscribers: [{ email: 'me@example.com', optOut: true }, { email: 'Jiwoo@example.com' }],
+        }));
+        const { files, emls } = await replay(FIXTURES, { config });
+        assert.equal(files.length, 3);
+        assert.match(emls[0], /\r\nTo: undisclosed-recipients:;\r\n/);
+        assert.match(emls[0], /\r\nBcc: jiwoo@example\.com\r\n/);
+    });
+
+    it('does not record letters that nobody is subscribed to', async () => {
+        const dir = await tempDir();
+        const config = await testConfig();
+        config.delivery.subscribersPath = path.join(dir, 'subscribers.json');
+        await fs.writeFile(config.delivery.subscribersPath, JSON.stringify({ subscribers: [{ email: 'me@example.com', optOut: true }] }));
+        const { results, emls, scratch } = await replay(FIXTURES, { config });
+        assert.deepEqual(results.map(r => [r.id, r.status, r.reason]), [
+            ['m1', 'skipped', 'no subscribers'],
+            ['m2', 'skipped', 'no subscribers'],
+            ['m3', 'skipped', 'no subscribers'],
+        ]);
+        assert.ok(emls.every(eml => !decodeSubject(eml).startsWith('[NEWNEEK-EN]')));
+        const ledger = JSON.parse(await fs.readFile(path.join(scratch, 'ledger.json'), 'utf-8').catch(() => '{}'));
+        assert.deepEqual(Object.keys(ledger.messages || {}), []);
+    });
+
+    it('reloads the subscriber list and the ledger when another command changed them', async () => {
+        const dir = await tempDir();
+        const config = await testConfig();
+        config.delivery.subscribersPath = path.join(dir, 'subscribers.json');
+        await fs.writeFile(config.delivery.subscribersPath, JSON.stringify({ subscribers: [{ email: 'me@example.com' }] }));
+        const { options, scratch } = await harnessOptions({ config, replay: FIXTURES, outDir: await tempDir() });
+        tempDirs.push(scratch);
+        const session = await openSession(null, options);
+        const emails = () => session.subscribers.forSource(session.sources[0], { owner: session.myEmail }).map(s => s.email);
+        assert.deepEqual(emails(), ['me@example.com']);
+
+        await session.reload();
+        assert.deepEqual(emails(), ['me@example.com']);
+        await fs.writeFile(config.delivery.subscribersPath, JSON.stringify({ subscribers: [{ email: 'me@example.com' }, { email: 'jiwoo@example.com' }] }));
+        // 같은 밀리초 안에 다시 쓰여도 바뀐 것으로 보이게 한다
+        await fs.utimes(config.delivery.subscribersPath, new Date(), new Date(Date.now() + 60000));
+        await session.reload();
+        assert.deepEqual(emails(), ['me@example.com', 'jiwoo@example.com']);
+
+        // 이 세션이 쓴 원장은 checkpoint 뒤에 다시 읽지 않고, 다른 명령이 쓴 원장은 읽는다
+        await session.ledger.record('m1', 'sent');
+        await session.checkpoint();
+        const own = session.ledger;
+        await session.reload();
+        assert.equal(session.ledger, own);
+        const other = await openLedger(session.ledger.path);
+        await other.record('m2', 'sent');
+        await fs.utimes(session.ledger.path, new Date(), new Date(Date.now() + 120000));
+        await session.reload();
+        assert.deepEqual([session.ledger.isDone('m1'), session.ledger.isDone('m2')], [true, true]);
+    });
+
+    it('fails only the message that could not be fetched', async () => {
+        const outDir = await tempDir();
+        const { options, scratch } = await harnessOptions({ config: await testConfig(), replay: FIXTURES, outDir });
+        tempDirs.push(scratch);
+        const { gmail } = options.clients;
+        const messages = {
+            ...gmail.users.messages,
+            get: params => (params.id === 'm2' ? Promise.reject(new Error('Requested entity was not found.')) : gmail.users.messages.get(params)),
+        };
+        const results = await runPipeline(null, { ...options, clients: { ...options.clients, gmail: { users: { ...gmail.users, messages } } }, htmlMode: 'dom' });
+        assert.deepEqual(results.map(r => [r.id, r.status, r.reason]), [
+            ['m1', 'sent', ''],
+            ['m2', 'failed', 'messages.get failed: Requested entity was not found.'],
+            ['m3', 'sent', ''],
+        ]);
+        assert.equal(options.ledger.get('m2').status, 'failed');
+    });
+
+    it('fails a letter whose prompt was not recorded', async () => {
+        const { results } = await replay(FIXTURES, { htmlMode: 'e2e' });
+        const m1 = results.find(r => r.id === 'm1');
+        assert.equal(m1.status, 'failed');
+        assert.match(m1.reason, /no recorded model response/);
+    });
+
+    it('falls back to a plain translation when the model never returns valid JSON', async () => {
+        const dir = await tempDir();
+        const stub = createProvider({ provider: 'stub' });
+        const brokenJson = {
+            ...stub,
+            generate: request => (request.responseJsonSchema ? Promise.resolve({ text: 'not json', usage: null }) : stub.generate(request)),
+        };
+        // 고정 데이터의 편지를 JSON 을 못 내는 모델로 다시 녹화한다
+        const config = await testConfig();
+        const fixtures = await openFixtures(dir, { record: true });
+        const { options, scratch } = await harnessOptions({ config, replay: FIXTURES, outDir: dir });
+        tempDirs.push(scratch);
+        await runPipeline(null, {
+            ...options,
+            clients: { gmail: recordGmail(options.clients.gmail, fixtures), provider: recordProvider(brokenJson, fixtures) },
+            dryRun: true,
+        });
+        await fixtures.save();
+        const teaching = Object.values(fixtures.model.responses).find(r => r.input.startsWith('늦게 온 편지') && r.texts[0] === 'not json');
+        assert.deepEqual(teaching.texts, ['not json', 'not json', 'not json']);
+
+        const { results } = await replay(dir, { config });
+        const m3 = results.find(r => r.id === 'm3');
+        assert.equal(m3.translated, 'neutge on pyeonji\n\nohu sosikipnida');
+        // 단순 번역은 plain 으로 검사하므로 학습 섹션이 없어도 다시 번역하지 않고 보낸다
+        assert.equal(m3.status, 'sent');
+        assert.equal(m3.attempts, 1);
+        assert.ok(!m3.quality.checks.some(c => c.name === 'teaching'));
+    });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { buildRunReport, createUsageMeter, meterProvider, readRunHistory, runTotals, saveRunReport } from '../report.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('createUsageMeter', () => {
+    const pricing = { 'gemini-2.5-flash': { input: 0.3, output: 2.5 } };
+    const gemini = usage => ({ name: 'gemini', model: 'gemini-2.5-flash', generate: async () => ({ text: 'ok', usage }) });
+
+    it('counts tokens and cost from Gemini usage metadata, thinking tokens as output', async () => {
+        const meter = createUsageMeter(pricing);
+        const provider = meterProvider(gemini({ promptTokenCount: 1000, candidatesTokenCount: 300, thoughtsTokenCount: 100 }), meter);
+        assert.deepEqual(await provider.generate({ input: '안녕' }), { text: 'ok', usage: { promptTokenCount: 1000, candidatesTokenCount: 300, thoughtsTokenCount: 100 } });
+        assert.deepEqual(meter.total, { calls: 1, inputTokens: 1000, outputTokens: 400, costUsd: (1000 * 0.3 + 400 * 2.5) / 1e6 });
+    });
+
+    it('keeps a separate tally between begin and end', async () => {
+        const meter = createUsageMeter(pricing);
+        const provider = meterProvider(gemini({ promptTokenCount: 10, candidatesTokenCount: 5 }), meter);
+        await provider.generate({});
+        const letter = meter.begin();
+        await provider.generate({});
+        await provider.generate({});
+        meter.end();
+        await provider.generate({});
+        assert.equal(letter.calls, 2);
+        assert.equal(letter.inputTokens, 20);
+        assert.equal(meter.total.calls, 4);
+    });
+
+    it('counts calls without usage or price at no cost', async () => {
+        const meter = createUsageMeter(pricing);
+        await meterProvider({ model: 'stub-romanizer', generate: async () => ({ text: '', usage: null }) }, meter).generate({});
+        await meterProvider({ model: 'unknown-model', generate: async () => ({ text: '', usage: { promptTokenCount: 50 } }) }, meter).generate({});
+        assert.deepEqual(meter.total, { calls: 2, inputTokens: 50, outputTokens: 0, costUsd: 0 });
+    });
+});
+
+describe('runTotals', () => {
+    const run = (startedAt, extra = {}) => ({
+        startedAt,
+        sent: 1,
+        skipped: 0,
+        failed: 0,
+        deliveries: 2,
+        retries: 0,
+        usage: { calls: 3, inputTokens: 100, outputTokens: 50, costUsd: 0.001 },
+        ...extra,
+    });
+    const runs = [
+        // 2026-09-30 23:30 UTC 는 KST 로 10월 1일
+        run('2026-09-30T23:30:00.000Z'),
+        run('2026-10-01T02:00:00.000Z', { failed: 1, sent: 0, retries: 2 }),
+        run('2026-09-15T01:00:00.000Z'),
+    ];
+
+    it('groups by day in the given time zone, newest first', () => {
+        const days = runTotals(runs, { by: 'day', timeZone: 'Asia/Seoul' });
+        assert.deepEqual(days.map(d => [d.period, d.runs, d.sent, d.failed, d.retries]), [
+            ['2026-10-01', 2, 1, 1, 2],
+            ['2026-09-15', 1, 1, 0, 0],
+        ]);
+        assert.deepEqual([days[0].calls, days[0].inputTokens, days[0].costUsd], [6, 200, 0.002]);
+    });
+
+    it('groups by month', () => {
+        assert.deepEqual(runTotals(runs, { by: 'month', timeZone: 'Asia/Seoul' }).map(m => [m.period, m.runs]), [['2026-10', 2], ['2026-09', 1]]);
+        assert.deepEqual(runTotals(runs, { by: 'month', timeZone: 'UTC' }).map(m => [m.period, m.runs]), [['2026-10', 1], ['2026-09', 2]]);
+    });
+});
+
+describe('saveRunReport', () => {
+    const tempDirs = [];
+    after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+    const report = startedAt => buildRunReport({
+        kind: 'run',
+        startedAt: new Date(startedAt),
+        finishedAt: new Date(startedAt + 5000),
+        dryRun: false,
+        provider: { name: 'gemini', model: 'gemini-2.5-flash' },
+        stats: { candidates: 1, sent: 0, skipped: 0, failed: 1, deliveries: 0 },
+        api: { model: { calls: 2, retries: 1, throttled: 0, failures: 0 }, gmail: { calls: 3, retries: 0, throttled: 0, failures: 0 } },
+        cache: null,
+        usage: { calls: 2, inputTokens: 10, outputTokens: 5, costUsd: 0.1 + 0.2 },
+        results: [{ id: 'm1', source: 'newneek', subject: '제목', status: 'failed', reason: 'quality gate fail', variants: [] }],
+    });
+
+    it('writes the report and appends to the history, dropping old runs and reports', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'translator-test-'));
+        tempDirs.push(dir);
+        const settings = { dir: path.join(dir, 'reports'), historyPath: path.join(dir, 'history.json'), historyDays: 30, reportDays: 30 };
+        const now = Date.parse('2026-10-19T00:00:00Z');
+
+        const old = await saveRunReport(report(now - 40 * DAY_MS), settings, now - 40 * DAY_MS);
+        // 복사·복원으로 바뀐 mtime 이 아니라 파일 이름의 시작 시각으로 지운다
+        await fs.utimes(old, new Date(now), new Date(now));
+        await fs.writeFile(path.join(settings.dir, 'notes.json'), '{}');
+        const file = await saveRunReport(report(now), settings, now);
+        assert.deepEqual((await fs.readdir(settings.dir)).sort(), [path.basename(file), 'notes.json']);
+
+        const saved = JSON.parse(await fs.readFile(file, 'utf-8'));
+        assert.equal(saved.usage.costUsd, 0.3);
+        assert.deepEqual(saved.letters.map(l => [l.id, l.status, l.reason]), [['m1', 'failed', 'quality gate fail']]);
+        const history = await readRunHistory(settings.historyPath);
+        assert.deepEqual(history.map(r => [r.startedAt, r.failed, r.retries, r.report]), [['2026-10-19T00:00:00.000Z', 1, 1, file]]);
+    });
+
+    it('reads a missing history as empty', async () => {
+        assert.deepEqual(await readRunHistory(path.join(os.tmpdir(), 'translator-no-such-history.json')), []);
+    });
+});
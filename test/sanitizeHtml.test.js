@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { collectSourceUrls, sanitizeHtml } from '../sanitizeHtml.js';
+
+const SOURCE = '<html><head><style>@import "https://newneek.co/fonts.css";</style></head>'
+    + '<body><a href="https://newneek.co/a">기사</a></body></html>';
+const allowedUrls = collectSourceUrls({ html: SOURCE });
+
+describe('sanitizeHtml', () => {
+    it('keeps URLs that were in the source, including @import strings', () => {
+        assert.ok(allowedUrls.has('https://newneek.co/fonts.css'));
+        const { html, issues } = sanitizeHtml(SOURCE, { allowedUrls });
+        assert.deepEqual(issues, []);
+        assert.equal(html, SOURCE);
+    });
+
+    it('removes new URLs in CSS url() and @import', () => {
+        for (const css of ['@import "https://evil.example/x.css";', "@import 'https://evil.example/x.css';", '@\\69mport "https://evil.example/x.css";', 'p { background: url(https://evil.example/x.png) }']) {
+            const { html, issues } = sanitizeHtml(`<html><head><style>${css}</style></head><body><p>hi</p></body></html>`, { allowedUrls });
+            assert.deepEqual(issues.map(i => i.type), ['unknown-url'], css);
+            assert.ok(!html.includes('evil.example'), css);
+        }
+    });
+
+    it('removes active CSS hidden behind escapes or comments', () => {
+        for (const css of ['width: expr\\65ssion(alert(1))', 'background: url(java\\73 cript:alert(1))', 'width: expr/**/ession(alert(1))']) {
+            const { html, issues } = sanitizeHtml(`<p style="${css}">hi</p><style>p { ${css} }</style>`, { allowedUrls });
+            assert.deepEqual(issues.map(i => i.type), ['active-content', 'active-content'], css);
+            assert.equal(html, '<p >hi</p>', css);
+        }
+    });
+
+    it('removes style attributes with new @import URLs', () => {
+        const { html, issues } = sanitizeHtml('<p style="@import \'https://evil.example/x.css\'">hi</p>', { allowedUrls });
+        assert.deepEqual(issues.map(i => i.type), ['unknown-url']);
+        assert.ok(!html.includes('evil.example'));
+    });
+});
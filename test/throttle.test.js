@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createLimiter } from '../throttle.js';
+
+// Retry-After 0.1초인 429: 백오프가 정확히 100ms 가 된다
+function rateLimited() {
+    return Object.assign(new Error('rate limited'), { status: 429, response: { headers: { 'retry-after': '0.1' } } });
+}
+
+describe('createLimiter', () => {
+    it('keeps at most `concurrency` calls in flight and runs queued calls in order', async () => {
+        const limiter = createLimiter({ name: 'test', concurrency: 2 });
+        let inFlight = 0;
+        let most = 0;
+        const order = [];
+        await Promise.all([1, 2, 3, 4, 5].map(n => limiter.run(async () => {
+            inFlight += 1;
+            most = Math.max(most, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            order.push(n);
+            inFlight -= 1;
+        })));
+        assert.equal(most, 2);
+        assert.deepEqual(order, [1, 2, 3, 4, 5]);
+    });
+
+    it('frees the slot while a failed call backs off', async () => {
+        const limiter = createLimiter({ name: 'test', concurrency: 1, baseDelayMs: 1 });
+        const events = [];
+        let failed = false;
+        const first = limiter.run(async () => {
+            if (!failed) {
+                failed = true;
+                events.push('first failed');
+                throw rateLimited();
+            }
+            events.push('first retried');
+        });
+        const second = limiter.run(async () => { events.push('second'); });
+        await Promise.all([first, second]);
+        assert.deepEqual(events, ['first failed', 'second', 'first retried']);
+        assert.deepEqual(limiter.stats, { calls: 3, retries: 1, throttled: 0, failures: 0 });
+    });
+});
@@ -0,0 +1,84 @@
+export function stripHtml(html) {
+    if (!html) return '';
+    return html
+        .replace(/<style[\s\S]*?<\/style>/gi, '')
+        .replace(/<script[\s\S]*?<\/script>/gi, '')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export function koreanRatio(str) {
+    if (!str) return 0;
+    const hanguls = str.match(/[\u3131-\uD79D]/g);
+    return hanguls ? (hanguls.length / str.length) : 0;
+}
+
+export function cleanModelOutput(text) {
+    if (!text) return '';
+    let out = text.trim();
+    // Remove code fences
+    out = out.replace(/^```[a-zA-Z0-9]*\n?/g, '').replace(/\n?```\s*$/g, '').trim();
+    // Drop common prefaces on the first line
+    out = out.replace(/^\s*(here\s+is|here's|below\s+is|translated|translation)[:\-\s]+/i, '');
+    // If still starts with markdown heading, remove leading # and spaces
+    out = out.replace(/^\s*#{1,6}\s+/g, '');
+    return out.trim();
+}
+
+export function extractHeadAndBody(html) {
+  if (!html) return { head: '', body: html || '' };
+  let head = '';
+  let body = html;
+  // Strip DOCTYPE
+  body = body.replace(/<!DOCTYPE[\s\S]*?>/i, '').trim();
+  // Extract <head>
+  const headMatch = body.match(/<head[\s\S]*?>([\s\S]*?)<\/head>/i);
+  if (headMatch) {
+    head = headMatch[1];
+  }
+  // Extract <body>
+  const bodyMatch = body.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+  if (bodyMatch) {
+    body = bodyMatch[1];
+  } else {
+    // If there's <html> wrapper, remove it
+    body = body.replace(/<\/?html[^>]*>/gi, '');
+  }
+  return { head, body };
+}
+
+export function escapeHtml(str) {
+    if (!str) return '';
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+}
+
+// 긴 텍스트를 문단(빈 줄) → 줄 → 글자 순으로 잘라 maxChars 이하 조각으로
+export function splitText(text, maxChars) {
+    if (!text || text.length <= maxChars) return [text || ''];
+    const chunks = [];
+    let current = '';
+    const push = piece => {
+        if (current && current.length + piece.length + 2 > maxChars) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+    };
+    for (const para of text.split(/\n\s*\n/)) {
+        if (para.length <= maxChars) {
+            push(para);
+            continue;
+        }
+        for (const line of para.split('\n')) {
+            for (let i = 0; i < line.length; i += maxChars) push(line.slice(i, i + maxChars));
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
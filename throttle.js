@@ -0,0 +1,116 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+
+// Gemini(ApiError.status), googleapis(GaxiosError.response.status / code), fetch 계열 모두에서 상태 코드 추출
+function statusOf(err) {
+    const status = err?.status ?? err?.response?.status ?? err?.code;
+    return typeof status === 'number' ? status : Number(status) || null;
+}
+
+export function isRetryable(err) {
+    const status = statusOf(err);
+    if (status && RETRYABLE_STATUS.has(status)) return true;
+    const code = err?.code || err?.cause?.code;
+    return RETRYABLE_CODES.has(code);
+}
+
+// Retry-After 헤더(초)가 있으면 그만큼은 기다린다
+function retryAfterMs(err) {
+    const headers = err?.response?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Creates a limiter for one API: at most `concurrency` calls in flight, at
+ * most `rpm` calls started per rolling minute, and retries with exponential
+ * backoff plus full jitter for retryable errors (429/5xx/network). A call
+ * holds its concurrency slot only while it is in flight, not during rpm
+ * waits or backoff. Retries and throttling waits are logged and counted in
+ * `stats`.
+ *
+ * @param {{ name: string, concurrency?: number, rpm?: number, retries?: number, baseDelayMs?: number, maxDelayMs?: number }} options
+ */
+export function createLimiter({ name, concurrency = 1, rpm = 0, retries = 4, baseDelayMs = 1000, maxDelayMs = 30000 }) {
+    const stats = { calls: 0, retries: 0, throttled: 0, failures: 0 };
+    const startedAt = [];
+    const waiting = [];
+    let active = 0;
+
+    // 자리가 없으면 줄을 선다. 깨어날 때는 release 가 넘겨준 자리를 그대로 받으므로 active 를 다시 세지 않는다
+    function acquire() {
+        if (active < concurrency) {
+            active += 1;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => waiting.push(resolve));
+    }
+
+    // 기다리는 호출이 있으면 자리를 바로 넘긴다. 그 사이에 새 호출이 끼어들 틈이 없다
+    function release() {
+        const next = waiting.shift();
+        if (next) next();
+        else active -= 1;
+    }
+
+    // 최근 1분 동안 시작한 호출 수가 rpm 에 닿았으면 가장 오래된 호출이 1분을 넘길 때까지 남은 시간
+    function rateWaitMs() {
+        if (!rpm) return 0;
+        const now = Date.now();
+        while (startedAt.length && now - startedAt[0] >= 60000) startedAt.shift();
+        return startedAt.length < rpm ? 0 : 60000 - (now - startedAt[0]) + 5;
+    }
+
+    // rpm 대기는 자리를 잡기 전에 한다. 자리를 기다리는 동안 다른 호출이 rpm 을 채웠으면 자리를 돌려주고 다시 기다린다
+    async function start(label) {
+        for (;;) {
+            for (let waitMs = rateWaitMs(); waitMs; waitMs = rateWaitMs()) {
+                stats.throttled += 1;
+                console.log(`[translator] Throttle ${name} ${label}: waiting ${waitMs}ms (rpm ${rpm})`);
+                await sleep(waitMs);
+            }
+            await acquire();
+            if (!rateWaitMs()) break;
+            release();
+        }
+        if (rpm) startedAt.push(Date.now());
+    }
+
+    async function run(fn, label = '') {
+        for (let attempt = 0; ; attempt++) {
+            await start(label);
+            stats.calls += 1;
+            let delay;
+            try {
+                return await fn();
+            } catch (e) {
+                if (attempt >= retries || !isRetryable(e)) {
+                    stats.failures += 1;
+                    throw e;
+                }
+                const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+                delay = Math.max(retryAfterMs(e), Math.round(Math.random() * backoff));
+                stats.retries += 1;
+                console.warn(`[translator] Retry ${name} ${label} (attempt ${attempt + 2}/${retries + 1}) in ${delay}ms:`, statusOf(e) || e?.code || '', e?.message || e);
+            } finally {
+                release();
+            }
+            // 백오프 동안은 자리를 비워 다른 호출이 쓰게 한다
+            await sleep(delay);
+        }
+    }
+
+    return { name, run, stats };
+}
+
+// provider.generate 를 limiter 로 감싼 같은 모양의 provider
+export function limitProvider(provider, limiter) {
+    return {
+        ...provider,
+        limiter,
+        generate: options => limiter.run(() => provider.generate(options), 'generate'),
+    };
+}
@@ -0,0 +1,408 @@
+import { cacheKey } from './cache.js';
+import createProvider from './providers.js';
+import { applySegments, collectSegments, splitHtmlSections } from './domTranslate.js';
+import { glossaryRules, termsFromObject } from './glossary.js';
+import { toModelSchema, validateSchema } from './schema.js';
+import { renderStudyNotes, STUDY_NOTES_SCHEMA, TEACHING_SCHEMA, teachingText } from './teaching.js';
+import { cleanModelOutput, koreanRatio, splitText } from './textUtils.js';
+
+// 프롬프트나 응답 후처리를 바꾸면 올린다. 캐시 키에 들어가서 예전 번역을 다시 쓰지 않게 된다
+export const PROMPT_VERSION = 1;
+
+// 스키마에 맞지 않는 JSON 응답을 다시 요청하는 횟수 (첫 시도 포함)
+const JSON_ATTEMPTS = 3;
+
+const HANGUL = /[\uAC00-\uD7A3]/;
+// 번역문에서 기사를 찾을 때 글자가 있는 텍스트 노드만 본다
+const LETTER = /\p{L}/u;
+
+// DOM 모드에서 한 번에 모델로 보내는 세그먼트 묶음 크기
+const SEGMENT_BATCH_CHARS = 4000;
+const SEGMENT_BATCH_ITEMS = 60;
+
+// 구독자 학습 수준 (config.js LEARNING_LEVELS): 번역문을 얼마나 쉽게 쓸지, 어떤 난이도의 어휘를 고를지
+const LEVEL_PROMPTS = {
+  beginner: {
+    style: 'Write for a beginner learner: short sentences, common everyday words, and plain wording instead of idioms.',
+    words: 'beginner-friendly (CEFR A2–B1)',
+  },
+  intermediate: { style: '', words: 'intermediate+' },
+  advanced: {
+    style: 'Write for an advanced learner: keep the nuance, register and idioms of the original; do not simplify.',
+    words: 'advanced (CEFR C1–C2)',
+  },
+};
+
+const SENTENCES_SCHEMA = {
+  type: 'object',
+  properties: { sentences: { type: 'array', items: { type: 'string' } } },
+  required: ['sentences'],
+};
+
+function batchSegments(segments) {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  for (const seg of segments) {
+    if (batch.length && (size + seg.text.length > SEGMENT_BATCH_CHARS || batch.length >= SEGMENT_BATCH_ITEMS)) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(seg);
+    size += seg.text.length;
+  }
+  if (batch.length) batches.push(batch);
+  return batches;
+}
+
+function parseJsonObject(text) {
+  try {
+    const parsed = JSON.parse(cleanModelOutput(text));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Builds the translate functions on top of a provider (see providers.js).
+ * Post-processing (koreanRatio checks, cleanModelOutput) lives here so it is
+ * the same for every provider. Languages come from the source config and
+ * the glossary terms from glossary.js (file plus source config); the function
+ * names keep their historical "English" naming. `level` (a subscriber's
+ * learning level) sets how simple the translation is and how hard the
+ * vocabulary picked for study notes.
+ * Inputs longer than `maxChunkChars` are translated in sections and stitched.
+ * With a `cache` (cache.js), accepted results are stored and reused; DOM
+ * segments are cached one by one, so only new text reaches the model.
+ * `refreshing()` returns a translator that skips cache reads (for retries).
+ */
+export default function createTranslator(provider = createProvider(), { sourceLang = 'Korean', targetLang = 'English', glossary = [], level = 'intermediate', maxChunkChars = 12000, cache = null, refresh = false } = {}) {
+  // 용어집 파일의 항목 배열 (glossary.js). 예전 { 원어: 번역 } 객체도 받는다
+  const terms = Array.isArray(glossary) ? glossary : termsFromObject(glossary);
+  const { style, words } = LEVEL_PROMPTS[level] || LEVEL_PROMPTS.intermediate;
+  const styleRules = (prefix = '') => (style ? [`${prefix}${style}`] : []);
+
+  // 프롬프트를 바꾸는 것(공급자, 모델, 버전, 언어, 수준, 용어집)은 모두 키에 들어간다
+  const cacheContext = cacheKey(provider.name, provider.model, PROMPT_VERSION, sourceLang, targetLang, level, terms);
+  // 빈 결과는 저장하지 않는다. refresh 면 읽지 않고 새 결과로 덮어쓴다
+  async function cached(kind, input, compute) {
+    if (!cache) return compute();
+    const key = cacheKey(cacheContext, kind, input);
+    if (!refresh) {
+      const hit = cache.get(key);
+      if (hit !== undefined) return hit;
+    }
+    const value = await compute();
+    if (value) cache.set(key, kind, value);
+    return value;
+  }
+
+  // 긴 텍스트는 문단 단위 조각으로 나눠 순서대로 번역 후 이어 붙인다
+  async function translateToEnglish(text) {
+    const chunks = splitText(text, maxChunkChars);
+    if (chunks.length === 1) return translateTextOnce(text);
+    console.log(`[translator] Chunking text (${text.length} chars) into ${chunks.length} parts`);
+    const out = [];
+    for (const chunk of chunks) {
+      const t = await translateTextOnce(chunk);
+      if (!t) return '';
+      out.push(t);
+    }
+    return out.join('\n\n');
+  }
+
+  function translateTextOnce(text) {
+    return cached('text', text, () => translateTextUncached(text));
+  }
+
+  async function translateTextUncached(text) {
+    const instructions = [
+      `Translate the ${sourceLang} text into clear, concise ${targetLang}.`,
+      'Return ONLY the translation text.',
+      'Do NOT add any introductions, notes, markdown, or code fences.',
+      'Preserve paragraph breaks.',
+      ...styleRules(),
+      ...glossaryRules(terms),
+    ];
+    const res = await provider.generate({ instructions, input: text, temperature: 0.3 });
+    return cleanModelOutput(res.text || '');
+  }
+
+  async function translateToEnglishHtml(html) {
+    if (html.length > maxChunkChars) return translateHtmlInSections(html);
+    return cached('html', html, () => translateHtmlUncached(html));
+  }
+
+  async function translateHtmlUncached(html) {
+    const instructions = [
+      `Translate the following HTML email content into clear, concise ${targetLang}.`,
+      'Preserve ALL HTML tags, attributes, links, classes, and inline styles.',
+      'Translate ONLY human-readable text nodes. Do not remove or add elements.',
+      'Return only the translated HTML without any extra commentary or markdown.',
+      ...styleRules(),
+      ...glossaryRules(terms),
+    ];
+    const res = await provider.generate({ instructions, input: html, temperature: 0.3 });
+    const out = res.text || '';
+    // 번역 실패/미변환으로 판단되면 빈 문자열 반환하여 상위에서 폴백 처리
+    if (!out) return '';
+    if (koreanRatio(out) > 0.3) return '';
+    if (out.length < 20 && koreanRatio(html) > 0.3) return '';
+    return out;
+  }
+
+  // JSON 응답을 스키마로 검증하고, 맞지 않으면 JSON_ATTEMPTS 까지 다시 요청한다
+  async function generateJson({ instructions, input, schema, temperature }) {
+    for (let attempt = 1; attempt <= JSON_ATTEMPTS; attempt++) {
+      const res = await provider.generate({
+        instructions,
+        input,
+        temperature,
+        responseMimeType: 'application/json',
+        responseJsonSchema: toModelSchema(schema),
+      });
+      let value;
+      try {
+        value = JSON.parse(cleanModelOutput(res.text || ''));
+      } catch (e) {
+        console.error(`[translator] JSON parse failed (attempt ${attempt}/${JSON_ATTEMPTS}):`, e.message);
+        continue;
+      }
+      const errors = validateSchema(schema, value);
+      if (errors.length === 0) return value;
+      console.error(`[translator] Schema mismatch (attempt ${attempt}/${JSON_ATTEMPTS}):`, errors.slice(0, 3).join('; '));
+    }
+    return null;
+  }
+
+  // 교사모드: 기사별 제목/번역 문단/어휘/문형을 구조화된 데이터로 받는다 (렌더링은 teaching.js)
+  // 긴 입력은 조각마다 받아서 articles 를 이어 붙인다
+  async function translateTeaching(text) {
+    const chunks = splitText(text, maxChunkChars);
+    if (chunks.length > 1) console.log(`[translator] Chunking teaching input (${text.length} chars) into ${chunks.length} parts`);
+    const articles = [];
+    for (const chunk of chunks) {
+      const part = await translateTeachingOnce(chunk);
+      if (!part) return null;
+      articles.push(...part.articles);
+    }
+    return { articles };
+  }
+
+  function translateTeachingOnce(text) {
+    return cached('teaching', text, () => translateTeachingUncached(text));
+  }
+
+  async function translateTeachingUncached(text) {
+    const instructions = [
+      `You are a native ${targetLang} teacher helping the user study ${targetLang}.`,
+      `The user uploads one or more ${sourceLang} news articles (short paragraphs). Convert each article into natural ${targetLang}, matching its tone and style.`,
+      `For each article, also provide Vocabulary (5–10 ${words} words, each with IPA pronunciation, a ${targetLang}–${targetLang} definition and an example sentence) and Sentence Patterns (2–4 important structures from the article with example sentences).`,
+      ...styleRules(),
+      ...glossaryRules(terms),
+      `Keep the articles in the original order. Every string must be in ${targetLang}.`,
+      'Respond with JSON matching the given schema only.',
+    ];
+    const teaching = await generateJson({ instructions, input: text, schema: TEACHING_SCHEMA, temperature: 0.4 });
+    if (!teaching) return null;
+    if (koreanRatio(teachingText(teaching)) > 0.5) return null;
+    return teaching;
+  }
+
+  function translateHtmlSection(fragment, options) {
+    return cached('section', fragment, () => translateSectionUncached(fragment, options));
+  }
+
+  async function translateSectionUncached(fragment, { part, total }) {
+    const instructions = [
+      `Translate the following fragment of an HTML email (part ${part} of ${total}) into clear, natural ${targetLang}.`,
+      'Preserve ALL HTML tags, attributes, links, classes, and inline styles exactly. The fragment may start or end in the middle of the layout; do not close or open extra tags.',
+      'Translate ONLY human-readable text nodes. Do not remove or add unrelated elements.',
+      ...styleRules(),
+      ...glossaryRules(terms),
+      'Return only the translated HTML fragment without any extra commentary or markdown.',
+    ];
+    const res = await provider.generate({ instructions, input: fragment, temperature: 0.3 });
+    const out = cleanModelOutput(res.text || '');
+    if (!out || koreanRatio(out) > 0.3) return '';
+    return out;
+  }
+
+  // 큰 HTML 은 섹션별로 번역해서 다시 잇는다. 본문 밖과 쪼갠 요소의 태그는 원문 그대로 둔다
+  async function translateHtmlInSections(html) {
+    const pieces = splitHtmlSections(html, maxChunkChars);
+    const total = pieces.filter(p => p.translate && HANGUL.test(p.html)).length;
+    console.log(`[translator] Chunking HTML (${html.length} chars) into ${total} sections`);
+    const out = [];
+    let part = 0;
+    for (const piece of pieces) {
+      if (!piece.translate || !HANGUL.test(piece.html)) {
+        out.push(piece.html);
+        continue;
+      }
+      const translated = await translateHtmlSection(piece.html, { part: ++part, total });
+      if (!translated) return '';
+      out.push(translated);
+    }
+    return out.join('');
+  }
+
+  // { id: 한국어 } 묶음을 JSON 으로 보내고 같은 키의 영어 번역을 돌려받는다
+  async function translateSegmentBatch(batch) {
+    const instructions = [
+      `You translate pieces of a ${sourceLang} HTML email into clear, natural ${targetLang}.`,
+      `The input is a JSON object mapping segment IDs to ${sourceLang} text. Segments are in document order; use neighbouring segments as context.`,
+      `Return a JSON object with EXACTLY the same keys, each value being the ${targetLang} translation of that segment only.`,
+      'Do NOT add HTML, markdown, or explanations. Keep numbers, dates, URLs and emoji as they are.',
+      ...styleRules(),
+      ...glossaryRules(terms),
+    ];
+    const input = JSON.stringify(Object.fromEntries(batch.map(seg => [seg.id, seg.text])), null, 2);
+    const res = await provider.generate({ instructions, input, temperature: 0.3, responseMimeType: 'application/json' });
+    const parsed = parseJsonObject(res.text || '') || {};
+    const out = {};
+    for (const seg of batch) {
+      const value = parsed[seg.id];
+      if (typeof value === 'string' && value.trim() && koreanRatio(value) <= 0.3) out[seg.id] = value.trim();
+    }
+    return out;
+  }
+
+  // 캐시에 있는 세그먼트는 그대로 쓰고 새 세그먼트만 모델로 보낸다 (반복되는 머리말·꼬리말 등)
+  async function translateSegments(segments) {
+    const translations = {};
+    const todo = [];
+    for (const seg of segments) {
+      const hit = cache && !refresh ? cache.get(cacheKey(cacheContext, 'segment', seg.text)) : undefined;
+      if (hit !== undefined) translations[seg.id] = hit;
+      else todo.push(seg);
+    }
+    if (todo.length < segments.length) console.log(`[translator] Cache: ${segments.length - todo.length}/${segments.length} segments reused`);
+    for (const batch of batchSegments(todo)) {
+      Object.assign(translations, await translateSegmentBatch(batch));
+      // 빠진 ID 는 한 번만 다시 요청
+      const missing = batch.filter(seg => !(seg.id in translations));
+      if (missing.length) Object.assign(translations, await translateSegmentBatch(missing));
+    }
+    const stillMissing = segments.filter(seg => !(seg.id in translations)).map(seg => seg.id);
+    if (stillMissing.length) {
+      throw new Error(`Segment translation incomplete: ${stillMissing.length}/${segments.length} missing (${stillMissing.slice(0, 5).join(', ')})`);
+    }
+    for (const seg of cache ? todo : []) cache.set(cacheKey(cacheContext, 'segment', seg.text), 'segment', translations[seg.id]);
+    return translations;
+  }
+
+  // 번역된 기사 하나에 대한 Vocabulary / Sentence Patterns 데이터
+  function studyNotes(articleText) {
+    return cached('notes', articleText, () => studyNotesUncached(articleText));
+  }
+
+  async function studyNotesUncached(articleText) {
+    const instructions = [
+      `You are a native ${targetLang} teacher helping the user study ${targetLang}.`,
+      `The input is one ${targetLang} news article translated from ${sourceLang}.`,
+      `Write two study sections for it: Vocabulary (5–10 ${words} words, each with IPA, a ${targetLang}–${targetLang} definition and an example sentence) and Sentence Patterns (2–4 key structures with example sentences).`,
+      'Respond with JSON matching the given schema only.',
+    ];
+    const notes = await generateJson({ instructions, input: articleText, schema: STUDY_NOTES_SCHEMA, temperature: 0.4 });
+    if (!notes || koreanRatio(teachingText(notes)) > 0.3) return null;
+    return notes;
+  }
+
+  // 번역된 기사마다 학습 블록 데이터를 받아, 기사 뒤에 끼울 블록과 teaching 데이터로 만든다
+  // articles: [{ lines: 번역된 제목·문단, insertAt: 블록을 끼울 위치 }]
+  async function articleNotes(articles) {
+    const insertions = [];
+    const notesByArticle = [];
+    for (const { lines, insertAt } of articles) {
+      const notes = await studyNotes(lines.join('\n'));
+      if (!notes) continue;
+      notesByArticle.push({ title: lines[0], paragraphs: lines.slice(1), ...notes });
+      insertions.push({ at: insertAt, html: `<div class="study-notes">${renderStudyNotes(notes)}</div>` });
+    }
+    return { insertions, teaching: notesByArticle.length ? { articles: notesByArticle } : null };
+  }
+
+  // 원본 트리의 텍스트만 바꿔 끼우고, 기사마다 학습 블록을 따로 생성해 덧붙인다
+  // 반환: { html, teaching } — teaching.articles 에 기사별 어휘/문형 데이터 (studyNotes: false 면 번역만)
+  async function translateHtmlDom(html, { studyNotes: withNotes = true } = {}) {
+    const { segments, articles } = collectSegments(html);
+    if (segments.length === 0) return { html: '', teaching: null };
+    const translations = await translateSegments(segments);
+    const { insertions, teaching } = await articleNotes(withNotes
+      ? articles.map(a => ({ lines: a.segmentIds.map(id => translations[id]), insertAt: a.insertAt }))
+      : []);
+    return { html: applySegments(html, segments, translations, insertions), teaching };
+  }
+
+  // e2e: 문서를 통째로 번역한 뒤, 번역문을 h1–h3 기준 기사로 나눠 DOM 모드와 같은 학습 블록을 끼운다
+  // 반환은 translateHtmlDom 과 같은 { html, teaching }
+  async function translateHtmlEndToEnd(html, { studyNotes: withNotes = true } = {}) {
+    const translated = await translateToEnglishHtml(html);
+    if (!translated || !withNotes) return { html: translated, teaching: null };
+    const { segments, articles } = collectSegments(translated, { text: LETTER });
+    const textById = Object.fromEntries(segments.map(seg => [seg.id, seg.text]));
+    const { insertions, teaching } = await articleNotes(articles.map(a => ({ lines: a.segmentIds.map(id => textById[id]), insertAt: a.insertAt })));
+    return { html: applySegments(translated, [], {}, insertions), teaching };
+  }
+
+  // bilingual 모드: 원문 문단마다 번역을 하나씩 짝지어 돌려준다 (문단 = 세그먼트 하나)
+  // highlight 면 기사마다 어휘 데이터를 받아 어려운 단어 표시에 쓰고, teaching 으로도 돌려준다
+  async function translateBilingual(articles, { highlight = false } = {}) {
+    const segments = articles.flatMap((a, i) => [
+      ...(a.title ? [{ id: `a${i + 1}t`, text: a.title }] : []),
+      ...a.paragraphs.map((p, j) => ({ id: `a${i + 1}p${j + 1}`, text: p })),
+    ]);
+    if (segments.length === 0) return { articles: [], teaching: null };
+    const translations = await translateSegments(segments);
+    const paired = articles.map((a, i) => ({
+      title: a.title ? { source: a.title, target: translations[`a${i + 1}t`] } : null,
+      paragraphs: a.paragraphs.map((p, j) => ({ source: p, target: translations[`a${i + 1}p${j + 1}`] })),
+      vocabulary: [],
+    }));
+    const notesByArticle = [];
+    for (const article of highlight ? paired : []) {
+      const lines = [article.title?.target, ...article.paragraphs.map(p => p.target)].filter(Boolean);
+      const notes = await studyNotes(lines.join('\n'));
+      if (!notes) continue;
+      article.vocabulary = notes.vocabulary;
+      notesByArticle.push({ title: lines[0], paragraphs: lines.slice(1), ...notes });
+    }
+    return { articles: paired, teaching: notesByArticle.length ? { articles: notesByArticle } : null };
+  }
+
+  // 복습 퀴즈용: targetLang 예문을 sourceLang 으로 되돌린다 (입력 한 줄 = 한 문장)
+  async function translateBack(sentences) {
+    if (sentences.length === 0) return [];
+    return cached('back', sentences, () => translateBackUncached(sentences));
+  }
+
+  async function translateBackUncached(sentences) {
+    const instructions = [
+      `Translate each ${targetLang} sentence into natural ${sourceLang}.`,
+      'The input has one sentence per line.',
+      'Respond with JSON {"sentences": [...]} holding exactly one translation per input line, in the same order.',
+    ];
+    const result = await generateJson({ instructions, input: sentences.join('\n'), schema: SENTENCES_SCHEMA, temperature: 0.2 });
+    if (!result || result.sentences.length !== sentences.length) return null;
+    return result.sentences;
+  }
+
+  return {
+    provider,
+    available: provider.available,
+    glossary: terms,
+    level,
+    translateToEnglish,
+    translateToEnglishHtml,
+    translateTeaching,
+    translateHtmlEndToEnd,
+    translateSegments,
+    translateHtmlDom,
+    translateBilingual,
+    translateBack,
+    refreshing: () => createTranslator(provider, { sourceLang, targetLang, glossary: terms, level, maxChunkChars, cache, refresh: true }),
+  };
+}
@@ -0,0 +1,181 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { writeJsonAtomic } from './ledger.js';
+import { escapeHtml } from './textUtils.js';
+
+// 교사모드에서 나온 Vocabulary / Sentence Patterns 를 실행마다 모아두는 파일
+const VOCAB_PATH = path.join(process.cwd(), 'data', 'vocab.json');
+
+export const VOCAB_KINDS = ['word', 'pattern'];
+
+// 대소문자, 공백, 끝 구두점 차이는 같은 단어로 본다
+function termKey(kind, term) {
+    const normalized = term.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.,;:!?]+$/, '');
+    return `${kind}:${normalized}`;
+}
+
+// 메일 Date 헤더 → YYYY-MM-DD. 읽을 수 없으면 오늘 날짜
+function letterDate(date) {
+    const ms = Date.parse(date || '');
+    return new Date(Number.isNaN(ms) ? Date.now() : ms).toISOString().slice(0, 10);
+}
+
+// 항목 하나를 items 에 합친다. 새 항목이면 true
+function addEntry(items, kind, { term, ipa = '', definition = '', example = '' }, occurrence) {
+    if (!term?.trim()) return false;
+    const key = termKey(kind, term);
+    const item = items[key];
+    if (!item) {
+        items[key] = {
+            kind,
+            term: term.trim(),
+            ipa,
+            definition,
+            example,
+            count: 1,
+            firstSeen: occurrence.date,
+            lastSeen: occurrence.date,
+            occurrences: [{ ...occurrence, example }],
+        };
+        return true;
+    }
+    item.ipa = ipa || item.ipa;
+    item.definition = definition || item.definition;
+    item.example = example || item.example;
+    item.count += 1;
+    if (occurrence.date < item.firstSeen) item.firstSeen = occurrence.date;
+    if (occurrence.date > item.lastSeen) item.lastSeen = occurrence.date;
+    item.occurrences.push({ ...occurrence, example });
+    return false;
+}
+
+// 편지 하나의 teaching 데이터를 items 에 합치고 새로 생긴/합쳐진 수를 센다
+function addTeaching(items, { id, source, date, teaching }) {
+    const counts = { added: 0, merged: 0 };
+    const day = letterDate(date);
+    for (const article of teaching?.articles || []) {
+        const occurrence = { letterId: id, source, title: article.title || '', date: day };
+        for (const v of article.vocabulary || []) {
+            const isNew = addEntry(items, 'word', { term: v.word, ipa: v.ipa, definition: v.definition, example: v.example }, occurrence);
+            counts[isNew ? 'added' : 'merged'] += 1;
+        }
+        for (const p of article.patterns || []) {
+            const isNew = addEntry(items, 'pattern', { term: p.pattern, example: p.example }, occurrence);
+            counts[isNew ? 'added' : 'merged'] += 1;
+        }
+    }
+    return counts;
+}
+
+/**
+ * The vocabulary entries of a single letter, in the bank's entry shape
+ * (for the CSV attachment of the translated mail).
+ */
+export function letterEntries(letter) {
+    const items = {};
+    addTeaching(items, letter);
+    return Object.values(items);
+}
+
+/**
+ * Opens the vocabulary bank, creating an empty one if missing. Entries are
+ * merged by word (or pattern): each keeps the latest IPA/definition/example,
+ * how often it appeared and every letter and article it came from.
+ *
+ * @param {string} [filePath]
+ */
+export default async function openVocabBank(filePath = VOCAB_PATH) {
+    let items = {};
+    try {
+        const content = await fs.readFile(filePath, 'utf-8');
+        items = JSON.parse(content).entries || {};
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw new Error(`Cannot read vocabulary bank ${filePath}: ${e.message}`);
+        }
+    }
+    const letterIds = new Set(Object.values(items).flatMap(item => item.occurrences.map(o => o.letterId)));
+
+    return {
+        path: filePath,
+        has(letterId) {
+            return letterIds.has(letterId);
+        },
+        // 보낸 편지 하나의 teaching 데이터를 합친다. 이미 들어간 편지는 다시 세지 않음
+        async addLetter({ id, source, date, teaching }) {
+            if (!teaching?.articles?.length || letterIds.has(id)) return { added: 0, merged: 0 };
+            const counts = addTeaching(items, { id, source, date, teaching });
+            letterIds.add(id);
+            await writeJsonAtomic(filePath, { version: 1, entries: items });
+            return counts;
+        },
+        // 많이 나온 순, 같으면 최근에 나온 순
+        entries({ kind, query, source, minCount = 1 } = {}) {
+            const q = query?.trim().toLowerCase();
+            return Object.values(items)
+                .filter(item => !kind || item.kind === kind)
+                .filter(item => item.count >= minCount)
+                .filter(item => !source || item.occurrences.some(o => o.source === source))
+                .filter(item => !q || item.term.toLowerCase().includes(q) || item.definition.toLowerCase().includes(q))
+                .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen) || a.term.localeCompare(b.term));
+        },
+    };
+}
+
+function csvField(value) {
+    const s = String(value ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * One row per entry (RFC 4180). `letters` and `articles` list every letter
+ * ID and article title the entry came from, separated by " | ".
+ */
+export function vocabToCsv(entries) {
+    const header = ['kind', 'term', 'ipa', 'definition', 'example', 'count', 'first_seen', 'last_seen', 'letters', 'articles'];
+    const rows = entries.map(e => [
+        e.kind,
+        e.term,
+        e.ipa,
+        e.definition,
+        e.example,
+        e.count,
+        e.firstSeen,
+        e.lastSeen,
+        [...new Set(e.occurrences.map(o => o.letterId))].join(' | '),
+        [...new Set(e.occurrences.map(o => o.title).filter(Boolean))].join(' | '),
+    ]);
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Anki 텍스트 가져오기는 탭/줄바꿈을 구분자로 쓰므로 필드 안에서는 공백으로 바꾼다
+function ankiField(html) {
+    return html.replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Tab-separated notes for Anki's File → Import (Basic note type): front is
+ * the word and IPA, back the definition, example and source article. The
+ * header lines tell Anki the separator, deck and tags column.
+ */
+export function vocabToAnki(entries, { deck = 'Letter Translator' } = {}) {
+    const lines = [
+        '#separator:tab',
+        '#html:true',
+        `#deck:${deck}`,
+        '#tags column:3',
+    ];
+    for (const e of entries) {
+        const front = e.ipa ? `${escapeHtml(e.term)}<br/><span class="ipa">${escapeHtml(e.ipa)}</span>` : escapeHtml(e.term);
+        const last = e.occurrences[e.occurrences.length - 1];
+        const back = [
+            e.definition && escapeHtml(e.definition),
+            e.example && `<i>${escapeHtml(e.example)}</i>`,
+            last?.title && `<small>${escapeHtml(last.title)} (${last.date})</small>`,
+        ].filter(Boolean).join('<br/>');
+        const tags = [e.kind, ...new Set(e.occurrences.map(o => o.source))].map(t => t.replace(/\s+/g, '_')).join(' ');
+        lines.push([front, back, tags].map(ankiField).join('\t'));
+    }
+    return lines.join('\n') + '\n';
+}